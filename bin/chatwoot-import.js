@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Importa a Chatwoot el historial de la base de datos del bot.
+//
+// Uso:
+//   chatwoot-import --config ./chatwoot-import.config.js [--dry-run]
+//     [--checkpoint archivo.json] [--phone 5731234567]... [--no-dates]
+//
+// El archivo de configuración exporta { chatwoot, database }: chatwoot con
+// CHATWOOT_URL, CHATWOOT_ID, CHATWOOT_INBOX_ID y CHATWOOT_API_ACCESS_TOKEN
+// (por defecto se leen de las variables de entorno) y database con el
+// adaptador de @bot-whatsapp/database o una función asíncrona que lo devuelve
+// ya conectado.
+const path = require("path");
+const { importHistory } = require("../lib/chatwoot.cjs");
+
+const USAGE =
+  "Uso: chatwoot-import --config <archivo> [--dry-run] [--checkpoint <archivo>] [--phone <número>]... [--no-dates]";
+
+/**
+ * Lee los argumentos de la línea de comandos.
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+const parseArgs = (argv) => {
+  const args = { phones: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--no-dates") args.showDates = false;
+    else if (arg === "--config") args.config = argv[++i];
+    else if (arg === "--checkpoint") args.checkpoint = argv[++i];
+    else if (arg === "--phone") args.phones.push(argv[++i]);
+    else if (arg === "--help" || arg === "-h") args.help = true;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.config) {
+    console.log(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const config = require(path.resolve(args.config));
+  const chatwoot = {
+    CHATWOOT_URL: process.env.CHATWOOT_URL,
+    CHATWOOT_ID: process.env.CHATWOOT_ID,
+    CHATWOOT_INBOX_ID: process.env.CHATWOOT_INBOX_ID,
+    CHATWOOT_API_ACCESS_TOKEN: process.env.CHATWOOT_API_ACCESS_TOKEN,
+    ...config.chatwoot,
+  };
+  const database =
+    typeof config.database === "function"
+      ? await config.database()
+      : config.database;
+
+  const options = { ...config.options, dryRun: Boolean(args.dryRun) };
+  if (args.checkpoint) options.checkpoint = args.checkpoint;
+  if (args.phones.length) options.phones = args.phones;
+  if (args.showDates === false) options.showDates = false;
+
+  const report = await importHistory(chatwoot, database, options);
+  if (report.dryRun) {
+    for (const message of report.messages) {
+      const arrow = message.direction === "incoming" ? "<-" : "->";
+      console.log(`${message.phone} ${arrow} ${message.content}`);
+    }
+  }
+  console.log(
+    `${report.dryRun ? "Se importarían" : "Importados"} ${report.imported} mensajes de ${report.conversations} conversaciones; ${report.skipped} ya importados, ${report.failed} fallidos.`
+  );
+  if (report.failed > 0) process.exitCode = 1;
+};
+
+main()
+  .catch((error) => {
+    console.error(error.problems ? error.message : error);
+    process.exitCode = 1;
+  })
+  // Los adaptadores de Mongo y MySQL dejan la conexión abierta.
+  .finally(() => process.exit());
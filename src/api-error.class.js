@@ -0,0 +1,53 @@
+// Error de la API de Chatwoot con el contexto de la petición que falló
+class ChatwootApiError extends Error {
+  /**
+   * @param {string} message - Descripción del error.
+   * @param {Object} [details={}] - Contexto de la petición.
+   * @param {number} [details.status] - Código HTTP de la respuesta, si la hubo.
+   * @param {string} [details.endpoint] - Endpoint llamado.
+   * @param {string} [details.method] - Método HTTP.
+   * @param {*} [details.body] - Cuerpo de la respuesta de Chatwoot.
+   * @param {string} [details.code] - Código de error de red (ECONNRESET, ECONNABORTED...).
+   * @param {number} [details.attempts] - Intentos realizados.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "ChatwootApiError";
+    this.status = details.status ?? null;
+    this.endpoint = details.endpoint ?? null;
+    this.method = details.method ?? null;
+    this.body = details.body ?? null;
+    this.code = details.code ?? null;
+    this.attempts = details.attempts ?? 1;
+  }
+
+  /**
+   * Construye el error a partir de un error de axios.
+   * @param {Error} error - Error lanzado por axios.
+   * @param {string} endpoint - Endpoint llamado.
+   * @param {string} method - Método HTTP.
+   * @param {number} attempts - Intentos realizados.
+   * @returns {ChatwootApiError}
+   */
+  static fromAxios(error, endpoint, method, attempts) {
+    return new ChatwootApiError(error.message, {
+      status: error.response?.status,
+      endpoint,
+      method,
+      body: error.response?.data,
+      code: error.code,
+      attempts,
+    });
+  }
+
+  /**
+   * Indica si el error se produjo sin recibir respuesta (red o timeout),
+   * en cuyo caso la petición pudo haberse procesado igualmente.
+   * @returns {boolean}
+   */
+  get isNetworkError() {
+    return this.status === null;
+  }
+}
+
+module.exports = ChatwootApiError;
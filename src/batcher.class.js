@@ -0,0 +1,74 @@
+// Agrupa las actualizaciones de una misma clave que llegan en un intervalo
+// corto y las envía juntas: un flujo que marca varias etiquetas o atributos
+// seguidos genera una sola petición por tipo.
+class UpdateBatcher {
+  /**
+   * @param {Function} flush - Función asíncrona (key, batch) que aplica el lote.
+   * @param {Object} [_options={}] - Opciones del agrupador.
+   * @param {number} [_options.delay=100] - Milisegundos que se esperan más actualizaciones.
+   */
+  constructor(flush, _options = {}) {
+    this.flush = flush;
+    this.delay = _options.delay ?? 100;
+    this.pending = new Map();
+  }
+
+  /**
+   * Lote vacío.
+   * @returns {{contact: Object, conversation: Object, labels: Set}}
+   */
+  static emptyBatch() {
+    return { contact: {}, conversation: {}, labels: new Set() };
+  }
+
+  /**
+   * Añade una actualización al lote de una clave.
+   *
+   * @param {string} key - Clave del lote (número de teléfono).
+   * @param {Object} update - { contact, conversation, labels }.
+   * @returns {Promise<*>} Se resuelve cuando el lote se ha aplicado.
+   */
+  add(key, update) {
+    let entry = this.pending.get(key);
+    if (!entry) {
+      entry = { batch: UpdateBatcher.emptyBatch(), waiters: [] };
+      entry.timer = setTimeout(() => this._flush(key), this.delay);
+      this.pending.set(key, entry);
+    }
+    Object.assign(entry.batch.contact, update.contact);
+    Object.assign(entry.batch.conversation, update.conversation);
+    (update.labels || []).forEach((label) => entry.batch.labels.add(label));
+    return new Promise((resolve, reject) => {
+      entry.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Aplica el lote de una clave y resuelve a quienes lo esperan.
+   * @param {string} key - Clave del lote.
+   */
+  async _flush(key) {
+    const entry = this.pending.get(key);
+    if (!entry) return;
+    this.pending.delete(key);
+    clearTimeout(entry.timer);
+    try {
+      const result = await this.flush(key, entry.batch);
+      entry.waiters.forEach((waiter) => waiter.resolve(result));
+    } catch (error) {
+      entry.waiters.forEach((waiter) => waiter.reject(error));
+    }
+  }
+
+  /**
+   * Aplica de inmediato todos los lotes pendientes.
+   * @returns {Promise<void>}
+   */
+  async flushAll() {
+    await Promise.allSettled(
+      [...this.pending.keys()].map((key) => this._flush(key))
+    );
+  }
+}
+
+module.exports = UpdateBatcher;
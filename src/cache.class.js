@@ -0,0 +1,98 @@
+const MemoryStore = require("./memory-store.class");
+
+// Caché de contactos: teléfono -> { contactID, conversationID, attributes }
+//
+// Los IDs pertenecen a una cuenta y una bandeja, así que las claves las
+// incluyen: varios dashboards pueden compartir el mismo almacén sin pisarse.
+//
+// El almacén es intercambiable; cualquier objeto con los métodos asíncronos
+// get(key), set(key, value, ttl), delete(key) y clear() sirve, por ejemplo
+// un adaptador sobre Redis o sobre un archivo.
+class ContactCache {
+  /**
+   * @param {Object} [_options={}] - Opciones de la caché.
+   * @param {number} [_options.ttl=300000] - Tiempo de vida en milisegundos.
+   * @param {number} [_options.maxSize=1000] - Tamaño máximo del almacén por defecto.
+   * @param {Object} [_options.store] - Almacén personalizado.
+   * @param {string|number} [_options.accountID] - Cuenta de Chatwoot de los IDs cacheados.
+   * @param {string|number} [_options.inboxID] - Bandeja de Chatwoot de los IDs cacheados.
+   */
+  constructor(_options = {}) {
+    this.accountID = _options.accountID ?? null;
+    this.inboxID = _options.inboxID ?? null;
+    this.ttl = _options.ttl ?? 5 * 60 * 1000;
+    this.store =
+      _options.store || new MemoryStore({ maxSize: _options.maxSize });
+  }
+
+  /**
+   * Construye la clave del almacén a partir de la cuenta, la bandeja y el
+   * teléfono.
+   * @param {string} phone - Número de teléfono.
+   * @returns {string}
+   */
+  key(phone) {
+    const number = String(phone).replace(/^\+/, "");
+    return `chatwoot:${this.accountID}:${this.inboxID}:contact:${number}`;
+  }
+
+  /**
+   * Obtiene la entrada cacheada de un teléfono.
+   * @param {string} phone - Número de teléfono.
+   * @returns {Promise<Object>} La entrada o un objeto vacío.
+   */
+  async get(phone) {
+    return (await this.store.get(this.key(phone))) || {};
+  }
+
+  /**
+   * Combina los datos con la entrada existente de un teléfono.
+   * @param {string} phone - Número de teléfono.
+   * @param {Object} patch - Campos a actualizar.
+   */
+  async update(phone, patch) {
+    const current = await this.get(phone);
+    await this.store.set(
+      this.key(phone),
+      { ...current, ...patch },
+      this.ttl
+    );
+  }
+
+  /**
+   * Elimina la entrada de un teléfono.
+   * @param {string} phone - Número de teléfono.
+   */
+  async invalidate(phone) {
+    await this.store.delete(this.key(phone));
+  }
+
+  /**
+   * Actualiza o invalida la caché a partir de un evento del webhook.
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   */
+  async applyEvent(data) {
+    switch (data?.event) {
+      case "contact_created":
+      case "contact_updated": {
+        if (!data.phone_number) return;
+        await this.update(data.phone_number, {
+          contactID: data.id,
+          attributes: data.custom_attributes || {},
+        });
+        return;
+      }
+      case "conversation_created":
+      case "conversation_status_changed": {
+        const phone = data.meta?.sender?.phone_number;
+        if (!phone) return;
+        await this.update(phone, { conversationID: undefined });
+        return;
+      }
+      default:
+        return;
+    }
+  }
+}
+
+module.exports = ContactCache;
@@ -1,58 +1,225 @@
 const axios = require("axios");
 const FormData = require("form-data");
-const Queue = require("queue-promise");
-const mime = require("mime");
+const { randomUUID } = require("crypto");
+const ContactCache = require("./cache.class");
+const ChatwootApiError = require("./api-error.class");
+const KeyedScheduler = require("./scheduler.class");
+const KeyedMutex = require("./mutex.class");
+const MediaLoader = require("./media.class");
+const Logger = require("./logger.class");
+const Metrics = require("./metrics.class");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 class ChatwootClient {
-  static locks = {};
-  static queue = new Queue({
-    concurrent: 1,
-    interval: 100,
-  });
+  static BOT_SOURCE_PREFIX = "bot-whatsapp:";
+  static RETRY_DEFAULTS = {
+    retries: 3,
+    minDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+  };
+  static CONVERSATION_DEFAULTS = {
+    resolvedPolicy: "reopen",
+    newAfterHours: 24,
+    assigneeID: null,
+    teamID: null,
+    verifyCached: false,
+  };
 
   /**
    * Constructor para inicializar el cliente de Chatwoot.
    * @param {Object} _options - Opciones para configurar ChatwootClient.
+   * @param {Object} [_options.cache] - Opciones de la caché de contactos (ttl, maxSize, store).
+   * @param {Object} [_options.retry] - Reintentos (retries, minDelay, maxDelay, factor).
+   * @param {number} [_options.timeout=30000] - Tiempo máximo de cada petición en milisegundos.
+   * @param {number} [_options.requestConcurrency=5] - Peticiones simultáneas a Chatwoot.
+   * @param {Object} [_options.rateLimit={max: 10, interval: 1000}] - Peticiones por intervalo.
+   * @param {Object} [_options.attachments] - Límites de los adjuntos (maxSize, allowedTypes).
+   * @param {Object} [_options.conversation] - Ciclo de vida de las conversaciones:
+   *   resolvedPolicy ("reopen", "new_after" o "always_new"), newAfterHours,
+   *   assigneeID y teamID opcionales al crear la conversación. verifyCached
+   *   comprueba el estado de la conversación cacheada antes de reutilizarla:
+   *   sin webhooks que invaliden la caché, una conversación resuelta en
+   *   Chatwoot seguiría recibiendo mensajes hasta que caducara (cache.ttl).
+   * @param {Object} [_options.logger] - Logger (pino, winston, console...).
+   * @param {Metrics} [_options.metrics] - Registro de métricas compartido con el dashboard.
    */
   constructor(_options = {}) {
     this.chatwootURL = _options.CHATWOOT_URL;
     this.idChatwoot = _options.CHATWOOT_ID;
     this.inboxID = _options.CHATWOOT_INBOX_ID;
     this.apiAccessToken = _options.CHATWOOT_API_ACCESS_TOKEN;
+    this.logger = Logger.from(_options.logger);
+    this.metrics = _options.metrics || new Metrics();
+    this.locks = new KeyedMutex();
+    this.cache = new ContactCache({
+      ..._options.cache,
+      accountID: this.idChatwoot,
+      inboxID: this.inboxID,
+    });
+    this.retry = { ...ChatwootClient.RETRY_DEFAULTS, ..._options.retry };
+    this.timeout = _options.timeout ?? 30000;
+    this.media = new MediaLoader({
+      timeout: this.timeout,
+      ..._options.attachments,
+    });
+    this.conversationOptions = {
+      ...ChatwootClient.CONVERSATION_DEFAULTS,
+      ..._options.conversation,
+    };
+    this.queue = new KeyedScheduler({
+      concurrency: _options.requestConcurrency ?? 5,
+      rateLimit: _options.rateLimit ?? { max: 10, interval: 1000 },
+    });
+  }
+
+  /**
+   * Indica si un error de axios merece reintento: errores de red, timeouts,
+   * 429 y respuestas 5xx.
+   * @param {Error} error - Error lanzado por axios.
+   * @returns {boolean}
+   */
+  static isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Calcula la espera antes del siguiente intento. Respeta la cabecera
+   * Retry-After y, si no existe, aplica backoff exponencial con jitter.
+   * @param {Error} error - Error del intento anterior.
+   * @param {number} attempt - Número del intento fallido (desde 0).
+   * @returns {number} Milisegundos a esperar.
+   */
+  _retryDelay(error, attempt) {
+    const { minDelay, maxDelay, factor } = this.retry;
+    const retryAfter = error.response?.headers?.["retry-after"];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds)
+        ? Date.parse(retryAfter) - Date.now()
+        : seconds * 1000;
+      if (ms >= 0) return Math.min(ms, maxDelay);
+    }
+    const backoff = Math.min(maxDelay, minDelay * factor ** attempt);
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Ejecuta la petición HTTP directamente, sin pasar por la cola.
+   *
+   * @param {string} endpoint - El endpoint de la API a llamar.
+   * @param {Object} [options={}] - Opciones adicionales para la petición axios.
+   * @returns {Promise<Object>} Los datos de la respuesta.
+   */
+  async _send(endpoint, options = {}) {
+    const labels = {
+      method: (options.method || "GET").toUpperCase(),
+      endpoint: Metrics.endpointLabel(endpoint),
+    };
+    const start = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - start) / 1e9;
+    try {
+      const response = await axios({
+        timeout: this.timeout,
+        ...options,
+        url: `${this.chatwootURL}/${this.idChatwoot}${endpoint}`,
+        headers: {
+          api_access_token: this.apiAccessToken,
+          "Content-Type": "application/json",
+          ...options.headers,
+        },
+      });
+      this.metrics.observe(
+        "chatwoot_api_request_duration_seconds",
+        labels,
+        elapsed()
+      );
+      return response.data;
+    } catch (error) {
+      this.metrics.observe(
+        "chatwoot_api_request_duration_seconds",
+        labels,
+        elapsed()
+      );
+      this.metrics.inc("chatwoot_api_errors_total", {
+        ...labels,
+        status: error.response?.status || error.code || "network",
+      });
+      throw error;
+    }
   }
 
   /**
    * Enfila la solicitud HTTP en la cola y espera su procesamiento.
    *
+   * Los errores de red, timeouts, 429 y 5xx se reintentan con backoff. Si un
+   * intento falla sin respuesta o con un 5xx (un proxy puede devolver 502 o
+   * 504 aunque Chatwoot haya procesado la petición), la petición pudo llegar
+   * a Chatwoot; en ese caso `findExisting` (sin cola) permite comprobarlo
+   * antes de repetir un POST.
+   *
    * @param {string} endpoint - El endpoint de la API a llamar.
    * @param {Object} [options={}] - Opciones adicionales para la petición axios.
-   * @returns {Promise<Object>} Resuelve con la respuesta de la API o rechaza con un error.
+   * @param {Function} [options.findExisting] - Devuelve el recurso ya creado o null.
+   * @returns {Promise<Object>} Resuelve con la respuesta de la API o rechaza con un ChatwootApiError.
    */
   async _enqueueRequest(endpoint, options = {}) {
+    const { findExisting, ...axiosOptions } = options;
+    const method = (axiosOptions.method || "GET").toUpperCase();
+    // Un cuerpo en stream (FormData con archivos) no se puede volver a enviar.
+    const retries =
+      typeof axiosOptions.data?.pipe === "function" ? 0 : this.retry.retries;
+
     return new Promise((resolve, reject) => {
-      // Añade una función asincrónica a la cola.
-      // Esta función realiza la solicitud HTTP y resuelve o rechaza la promesa externa.
-      ChatwootClient.queue.enqueue(async () => {
-        try {
-          const response = await axios({
-            ...options,
-            url: `${this.chatwootURL}/${this.idChatwoot}${endpoint}`,
-            headers: {
-              api_access_token: this.apiAccessToken,
-              "Content-Type": "application/json",
-              ...options.headers,
-            },
-          });
-          resolve(response.data);
-        } catch (error) {
-          // Loguea el error y rechaza la promesa externa con el mensaje de error.
-          console.error(
-            "Error details:",
-            error.response?.data || error.message
-          );
-          reject(new Error(error.message));
+      // Los reintentos se hacen dentro de la tarea, que ocupa su hueco de
+      // concurrencia mientras Chatwoot responde 429 o 5xx.
+      this.queue.enqueue(null, async () => {
+        let lastError = null;
+        let ambiguous = false;
+        let attempt = 0;
+        for (; attempt <= retries; attempt++) {
+          try {
+            if (ambiguous && findExisting) {
+              const existing = await findExisting();
+              if (existing) {
+                resolve(existing);
+                return;
+              }
+              ambiguous = false;
+            }
+            resolve(await this._send(endpoint, axiosOptions));
+            return;
+          } catch (error) {
+            lastError = error;
+            const status = error.response?.status;
+            if (!status || status >= 500) ambiguous = true;
+            if (attempt === retries || !ChatwootClient.isRetryable(error)) {
+              break;
+            }
+            const delay = this._retryDelay(error, attempt);
+            // Un 429 afecta a toda la cuenta: el resto de la cola también
+            // espera, no solo la petición que lo recibió.
+            if (error.response?.status === 429) this.queue.pause(delay);
+            await sleep(delay);
+          }
         }
-      });
+
+        const apiError = ChatwootApiError.fromAxios(
+          lastError,
+          endpoint,
+          method,
+          Math.min(attempt, retries) + 1
+        );
+        this.logger.error(`Error en ${method} ${endpoint}`, {
+          error: apiError,
+        });
+        // El cuerpo de la respuesta puede contener datos del cliente.
+        this.logger.debug("Respuesta de Chatwoot", { body: apiError.body });
+        reject(apiError);
+      }).catch(reject);
     });
   }
 
@@ -69,10 +236,47 @@ class ChatwootClient {
   }
 
   /**
-   * Obtiene el ID de usuario de Chatwoot basado en el número de teléfono.
+   * Genera un source_id para marcar los mensajes publicados por el adaptador.
+   * Chatwoot lo devuelve en el webhook, lo que permite ignorar nuestros propios ecos.
+   * @param {string} [externalID=null] - ID del mensaje en WhatsApp, si se conoce.
+   * @returns {string} source_id con el prefijo del bot.
+   */
+  static buildSourceID(externalID = null) {
+    return `${ChatwootClient.BOT_SOURCE_PREFIX}${externalID || randomUUID()}`;
+  }
+
+  /**
+   * Indica si un source_id fue generado por el adaptador.
+   * @param {string} sourceID - source_id recibido en el webhook.
+   * @returns {boolean}
+   */
+  static isBotSourceID(sourceID) {
+    return (
+      typeof sourceID === "string" &&
+      sourceID.startsWith(ChatwootClient.BOT_SOURCE_PREFIX)
+    );
+  }
+
+  /**
+   * Obtiene el número de teléfono del contacto asociado a una conversación.
+   * @param {number} conversationID - ID de la conversación en Chatwoot.
+   * @returns {string|false} Número sin el prefijo "+" o false si no existe.
+   */
+  async getPhoneByConversationID(conversationID) {
+    const data = await this._request(`/conversations/${conversationID}`);
+    const phoneNumber = data?.meta?.sender?.phone_number;
+    if (!phoneNumber) {
+      return false;
+    }
+    return phoneNumber.replace(/^\+/, "");
+  }
+
+  /**
+   * Busca el contacto por teléfono en Chatwoot y guarda su ID y atributos en caché.
    * @param {string} userPhone - Número de teléfono del usuario.
+   * @returns {Object|false} El contacto encontrado o false.
    */
-  async getUserID(userPhone) {
+  async _searchContact(userPhone) {
     const data = await this._request(`/contacts/search`, {
       params: { q: `+${userPhone}` },
     });
@@ -80,28 +284,214 @@ class ChatwootClient {
     if (!contact) {
       return false;
     }
-    return contact.id;
+    await this.cache.update(userPhone, {
+      contactID: contact.id,
+      attributes: contact.custom_attributes || {},
+    });
+    return contact;
   }
 
   /**
-   * Obtiene los atributos personalizados del usuario en Chatwoot.
+   * Obtiene el perfil del usuario dueño del token, con las cuentas a las que
+   * tiene acceso. El perfil no depende de la cuenta, por eso se llama a
+   * /api/v1/profile y no pasa por la cola.
+   * @returns {Promise<Object>}
+   */
+  async getProfile() {
+    const baseURL = this.chatwootURL.replace(/\/accounts\/?$/, "");
+    try {
+      const response = await axios({
+        url: `${baseURL}/profile`,
+        timeout: this.timeout,
+        headers: { api_access_token: this.apiAccessToken },
+      });
+      return response.data;
+    } catch (error) {
+      throw ChatwootApiError.fromAxios(error, "/profile", "GET", 1);
+    }
+  }
+
+  /**
+   * Obtiene la bandeja configurada, con su horario de atención
+   * (working_hours) y su mensaje de fuera de horario.
+   * @returns {Promise<Object>}
+   */
+  async getInbox() {
+    return this._request(`/inboxes/${this.inboxID}`);
+  }
+
+  /**
+   * Comprueba la conexión con Chatwoot consultando la bandeja configurada.
+   * No pasa por la cola, para que el resultado no dependa de su carga.
+   * @param {number} [timeout=5000] - Tiempo máximo en milisegundos.
+   * @returns {Promise<{ok: boolean, latencyMs: number, error: string|null}>}
+   */
+  async ping(timeout = 5000) {
+    const start = Date.now();
+    try {
+      await this._send(`/inboxes/${this.inboxID}`, { timeout });
+      return { ok: true, latencyMs: Date.now() - start, error: null };
+    } catch (error) {
+      return {
+        ok: false,
+        latencyMs: Date.now() - start,
+        // Solo el código: el mensaje puede incluir hosts y puertos internos.
+        error: error.response?.status
+          ? `HTTP ${error.response.status}`
+          : error.code || "sin respuesta",
+      };
+    }
+  }
+
+  /**
+   * Busca en una conversación el mensaje publicado con un source_id concreto.
+   * Se llama desde dentro de la cola, por eso usa _send directamente.
+   * @param {number} conversationID - ID de la conversación.
+   * @param {string} sourceID - source_id del mensaje.
+   * @returns {Object|null} El mensaje encontrado o null.
+   */
+  async _findMessageBySourceID(conversationID, sourceID) {
+    const data = await this._send(`/conversations/${conversationID}/messages`);
+    const messages = data?.payload || [];
+    return messages.find((m) => m.source_id === sourceID) || null;
+  }
+
+  /**
+   * Busca el ID en Chatwoot de un mensaje a partir de su ID en WhatsApp,
+   * entre los mensajes recientes de la conversación del usuario.
    * @param {string} userPhone - Número de teléfono del usuario.
+   * @param {string} externalID - ID del mensaje en WhatsApp.
+   * @returns {number|null}
    */
-  async getAttributes(userPhone) {
+  async getMessageIDByExternalID(userPhone, externalID) {
+    const message = await this.findMessage(
+      userPhone,
+      ChatwootClient.buildSourceID(externalID)
+    );
+    return message ? message.id : null;
+  }
+
+  /**
+   * Busca entre los mensajes recientes de la conversación del usuario el
+   * publicado con un source_id concreto.
+   * @param {string} userPhone - Número de teléfono del usuario.
+   * @param {string} sourceID - source_id del mensaje.
+   * @returns {Object|null} El mensaje encontrado o null.
+   */
+  async findMessage(userPhone, sourceID) {
+    const { conversationID } = await this.ensureConversation(userPhone);
+    const data = await this._request(
+      `/conversations/${conversationID}/messages`
+    );
+    return (data?.payload || []).find((m) => m.source_id === sourceID) || null;
+  }
+
+  /**
+   * Construye los campos opcionales de un mensaje: source_id, content_type y
+   * content_attributes.
+   * @param {Object} [options={}]
+   * @param {string} [options.sourceID] - source_id ya asignado al mensaje (ver buildSourceID).
+   * @param {string} [options.externalID] - ID del mensaje en WhatsApp, si no hay sourceID.
+   * @param {string} [options.contentType] - Por ejemplo "input_select".
+   * @param {Object} [options.contentAttributes] - Por ejemplo { items } o { in_reply_to }.
+   * @returns {Object}
+   */
+  static messageFields(options = {}) {
+    const sourceID =
+      options.sourceID || ChatwootClient.buildSourceID(options.externalID);
+    // echo_id es el campo que Chatwoot usa para reconocer sus propios envíos;
+    // se rellena igual que source_id para detectar el eco por cualquiera de
+    // los dos.
+    const fields = { source_id: sourceID, echo_id: sourceID };
+    if (options.contentType) {
+      fields.content_type = options.contentType;
+    }
+    if (options.contentAttributes) {
+      fields.content_attributes = options.contentAttributes;
+    }
+    return fields;
+  }
+
+  /**
+   * Busca contactos por texto (nombre, teléfono o email).
+   * @param {string} query - Texto a buscar.
+   * @returns {Promise<Object[]>}
+   */
+  async searchContacts(query) {
     const data = await this._request(`/contacts/search`, {
-      params: { q: `+${userPhone}` },
+      params: { q: query },
     });
-    const contact = data.payload[0];
+    return data?.payload || [];
+  }
+
+  /**
+   * Obtiene un contacto por su ID.
+   * @param {number} contactID - ID del contacto en Chatwoot.
+   * @returns {Promise<Object>}
+   */
+  async getContact(contactID) {
+    const data = await this._request(`/contacts/${contactID}`);
+    return data?.payload || data;
+  }
+
+  /**
+   * Actualiza un contacto: name, avatar_url, custom_attributes... Chatwoot
+   * combina los custom_attributes recibidos con los existentes.
+   * @param {number} contactID - ID del contacto en Chatwoot.
+   * @param {Object} data - Campos a actualizar.
+   * @returns {Promise<Object>}
+   */
+  async updateContact(contactID, data) {
+    return this._request(`/contacts/${contactID}`, { method: "PUT", data });
+  }
+
+  /**
+   * Fusiona dos contactos: las conversaciones y datos del segundo pasan al
+   * primero y el segundo se elimina.
+   * @param {number} baseID - Contacto que se conserva.
+   * @param {number} mergeeID - Contacto que se elimina.
+   * @returns {Promise<Object>}
+   */
+  async mergeContacts(baseID, mergeeID) {
+    return this._request(`/actions/contact_merge`, {
+      method: "POST",
+      data: { base_contact_id: baseID, mergee_contact_id: mergeeID },
+    });
+  }
+
+  /**
+   * Obtiene el ID de usuario de Chatwoot basado en el número de teléfono.
+   * @param {string} userPhone - Número de teléfono del usuario.
+   */
+  async getUserID(userPhone) {
+    const cached = await this.cache.get(userPhone);
+    if (cached.contactID) {
+      return cached.contactID;
+    }
+    const contact = await this._searchContact(userPhone);
     if (!contact) {
       return false;
     }
-    if (
-      !contact.custom_attributes ||
-      !contact.custom_attributes.funciones_del_bot
-    ) {
+    return contact.id;
+  }
+
+  /**
+   * Obtiene los atributos personalizados del usuario en Chatwoot.
+   * @param {string} userPhone - Número de teléfono del usuario.
+   */
+  async getAttributes(userPhone) {
+    let { attributes } = await this.cache.get(userPhone);
+    if (!attributes) {
+      const contact = await this._searchContact(userPhone);
+      if (!contact) {
+        return false;
+      }
+      attributes = contact.custom_attributes || {};
+    }
+    if (!attributes.funciones_del_bot) {
       return false;
     }
-    const attributeValue = contact.custom_attributes.funciones_del_bot;
+    const attributeValue = attributes.funciones_del_bot;
 
     return String(attributeValue);
   }
@@ -111,31 +501,264 @@ class ChatwootClient {
    * @param {string} userPhone - Número de teléfono del usuario.
    * @param {string} field - Campo a actualizar.
    * @param {Object} attributes - Atributos a establecer.
+   * @returns {boolean} false si el contacto no existe.
    */
   async setAttributes(userPhone, field, attributes) {
+    return this.updateContactAttributes(userPhone, { [field]: attributes });
+  }
+
+  /**
+   * Actualiza varios atributos personalizados del contacto en una sola
+   * petición. Chatwoot combina los atributos recibidos con los existentes,
+   * por eso solo se envían los que cambian.
+   * @param {string} userPhone - Número de teléfono del usuario.
+   * @param {Object} attributes - Atributos a establecer.
+   * @returns {boolean} false si el contacto no existe.
+   */
+  async updateContactAttributes(userPhone, attributes) {
     const userID = await this.getUserID(userPhone);
+    if (!userID) {
+      return false;
+    }
     await this._request(`/contacts/${userID}`, {
       method: "PUT",
-      data: { custom_attributes: { [field]: attributes } },
+      data: { custom_attributes: attributes },
     });
+    const cached = await this.cache.get(userPhone);
+    if (cached.attributes) {
+      await this.cache.update(userPhone, {
+        attributes: { ...cached.attributes, ...attributes },
+      });
+    }
     return true;
   }
 
   /**
-   * Obtiene el ID de conversación de Chatwoot para un usuario.
+   * Actualiza atributos personalizados de la conversación actual del
+   * usuario. El endpoint de Chatwoot reemplaza todos los atributos, así que
+   * se leen los actuales y se combinan antes de enviarlos.
+   * @param {string} userPhone - Número de teléfono del usuario.
+   * @param {Object} attributes - Atributos a establecer.
+   * @returns {Object} Atributos resultantes de la conversación.
+   */
+  async updateConversationAttributes(userPhone, attributes) {
+    const { conversationID } = await this.ensureConversation(userPhone);
+    const conversation = await this._request(
+      `/conversations/${conversationID}`
+    );
+    const merged = { ...conversation?.custom_attributes, ...attributes };
+    await this._request(`/conversations/${conversationID}/custom_attributes`, {
+      method: "POST",
+      data: { custom_attributes: merged },
+    });
+    return merged;
+  }
+
+  /**
+   * Añade etiquetas a la conversación actual del usuario sin quitar las que
+   * ya tiene (el endpoint de Chatwoot reemplaza la lista completa).
+   * @param {string} userPhone - Número de teléfono del usuario.
+   * @param {string[]} labels - Etiquetas a añadir.
+   * @returns {string[]} Etiquetas resultantes de la conversación.
+   */
+  async addConversationLabels(userPhone, labels) {
+    const { conversationID } = await this.ensureConversation(userPhone);
+    const response = await this._request(
+      `/conversations/${conversationID}/labels`
+    );
+    const current = response?.payload || [];
+    const merged = [...new Set([...current, ...labels])];
+    if (merged.length !== current.length) {
+      await this._request(`/conversations/${conversationID}/labels`, {
+        method: "POST",
+        data: { labels: merged },
+      });
+    }
+    return merged;
+  }
+
+  /**
+   * Contact inbox de la bandeja configurada en la respuesta de /contacts/:id.
+   * @param {Object} data - Respuesta de Chatwoot.
+   * @returns {Object|null}
+   */
+  _contactInboxOf(data) {
+    const contactInboxes = data?.payload?.contact_inboxes || [];
+    return contactInboxes.find((ci) => ci.inbox?.id == this.inboxID) || null;
+  }
+
+  /**
+   * Obtiene el source_id del contact inbox del contacto en la bandeja
+   * configurada, asociándolo a la bandeja si todavía no lo está.
    * @param {string} userID - ID de usuario en Chatwoot.
+   * @param {string} userPhone - Teléfono del usuario, usado como clave de la caché.
+   * @returns {string} El source_id del contact inbox.
    */
-  async getConversationID(userID) {
-    const data = await this._request(`/contacts/${userID}/conversations`);
-    const conversations = data.payload[0]?.messages;
-    if (!conversations || conversations.length === 0) {
+  async getSourceID(userID, userPhone) {
+    const cached = await this.cache.get(userPhone);
+    if (cached.sourceID) {
+      return cached.sourceID;
+    }
+
+    const data = await this._request(`/contacts/${userID}`);
+    let sourceID = this._contactInboxOf(data)?.source_id;
+    if (!sourceID) {
+      // En bandejas de tipo API, Chatwoot genera el source_id si no se envía.
+      const created = await this._request(
+        `/contacts/${userID}/contact_inboxes`,
+        {
+          method: "POST",
+          data: { inbox_id: this.inboxID },
+          findExisting: async () =>
+            this._contactInboxOf(await this._send(`/contacts/${userID}`)),
+        }
+      );
+      sourceID = created.source_id;
+    }
+
+    await this.cache.update(userPhone, { sourceID });
+    return sourceID;
+  }
+
+  /**
+   * Momento de la última actividad de una conversación, en segundos.
+   * @param {Object} conversation - Conversación de Chatwoot.
+   * @returns {number}
+   */
+  static lastActivity(conversation) {
+    return (
+      conversation.last_activity_at ||
+      conversation.timestamp ||
+      conversation.created_at ||
+      0
+    );
+  }
+
+  /**
+   * Aplica la política configurada a una conversación resuelta.
+   * @param {Object} conversation - Última conversación del contacto en la bandeja.
+   * @returns {number|false} El ID a reutilizar o false si hay que crear una nueva.
+   */
+  async _applyResolvedPolicy(conversation) {
+    if (conversation.status !== "resolved") {
+      return conversation.id;
+    }
+
+    const { resolvedPolicy, newAfterHours } = this.conversationOptions;
+    if (resolvedPolicy === "always_new") {
       return false;
     }
-    const conversation = conversations.find((c) => c.inbox_id == this.inboxID);
+    if (resolvedPolicy === "new_after") {
+      const idleHours =
+        (Date.now() / 1000 - ChatwootClient.lastActivity(conversation)) / 3600;
+      if (idleHours >= newAfterHours) {
+        return false;
+      }
+    }
+
+    await this._request(`/conversations/${conversation.id}/toggle_status`, {
+      method: "POST",
+      data: { status: "open" },
+    });
+    return conversation.id;
+  }
+
+  /**
+   * Cambia la bandeja del cliente y de las claves de su caché, por ejemplo
+   * tras crearla con provision.inbox.
+   * @param {number|string} inboxID - ID de la bandeja.
+   */
+  setInbox(inboxID) {
+    this.inboxID = inboxID;
+    this.cache.inboxID = inboxID;
+  }
+
+  /**
+   * Obtiene la conversación más reciente del contacto en la bandeja
+   * configurada, sin aplicar la política de las resueltas ni usar la caché.
+   * @param {string} userID - ID de usuario en Chatwoot.
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestConversation(userID) {
+    const data = await this._request(`/contacts/${userID}/conversations`);
+    return ChatwootClient.latestInInbox(data, this.inboxID);
+  }
+
+  /**
+   * Conversación más reciente de una bandeja en la respuesta de
+   * /contacts/:id/conversations.
+   * @param {Object} data - Respuesta de Chatwoot.
+   * @param {string|number} inboxID - ID de la bandeja.
+   * @param {Function} [filter] - Condición adicional sobre la conversación.
+   * @returns {Object|null}
+   */
+  static latestInInbox(data, inboxID, filter = () => true) {
+    return (
+      (data?.payload || [])
+        .filter((c) => c.inbox_id == inboxID && filter(c))
+        .sort(
+          (a, b) =>
+            ChatwootClient.lastActivity(b) - ChatwootClient.lastActivity(a)
+        )[0] || null
+    );
+  }
+
+  /**
+   * Obtiene el ID de conversación de Chatwoot para un usuario: la más reciente
+   * de la bandeja configurada, aplicando la política para las resueltas.
+   * @param {string} userID - ID de usuario en Chatwoot.
+   * @param {string} [userPhone=null] - Teléfono del usuario, usado como clave de la caché.
+   * @returns {number|false} El ID de la conversación o false si hay que crear una.
+   */
+  async getConversationID(userID, userPhone = null) {
+    if (userPhone) {
+      const cached = await this.cache.get(userPhone);
+      if (
+        cached.conversationID &&
+        (!this.conversationOptions.verifyCached ||
+          (await this._isOpenConversation(cached.conversationID)))
+      ) {
+        return cached.conversationID;
+      }
+    }
+    const conversation = await this.getLatestConversation(userID);
     if (!conversation) {
-      throw new Error(`No conversation found with inbox_id ${this.inboxID}`);
+      return false;
+    }
+
+    const conversationID = await this._applyResolvedPolicy(conversation);
+    if (conversationID && userPhone) {
+      await this.cache.update(userPhone, { conversationID });
     }
-    return conversation.conversation_id;
+    return conversationID;
+  }
+
+  /**
+   * Indica si una conversación sigue existiendo y no está resuelta.
+   * @param {number} conversationID - ID de la conversación.
+   * @returns {Promise<boolean>}
+   */
+  async _isOpenConversation(conversationID) {
+    try {
+      const conversation = await this._request(
+        `/conversations/${conversationID}`
+      );
+      return conversation?.status !== "resolved";
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Definiciones de atributos personalizados de la cuenta. Según la versión,
+   * Chatwoot devuelve la lista o { payload: [...] }.
+   * @returns {Promise<Object[]>}
+   */
+  async getAttributeDefinitions() {
+    const response = await this._request(`/custom_attribute_definitions`);
+    if (Array.isArray(response)) return response;
+    return Array.isArray(response?.payload) ? response.payload : [];
   }
 
   /**
@@ -147,11 +770,9 @@ class ChatwootClient {
   async isAttributeCreated() {
     const targetAttributeKey = "funciones_del_bot";
 
-    const response = await this._request(`/custom_attribute_definitions`, {
-      method: "GET",
-    });
+    const response = await this.getAttributeDefinitions();
 
-    if (response && response.length > 0) {
+    if (response.length > 0) {
       for (let attribute of response) {
         if (attribute.attribute_key === targetAttributeKey) {
           return true;
@@ -211,6 +832,11 @@ class ChatwootClient {
       data: data,
     });
 
+    await this.cache.update(phoneNumber, {
+      contactID: response.payload.contact.id,
+      attributes: response.payload.contact.custom_attributes || {},
+      sourceID: response.payload.contact_inbox?.source_id,
+    });
     return response.payload.contact.id;
   }
 
@@ -218,111 +844,217 @@ class ChatwootClient {
    * Crea una nueva conversación en Chatwoot para un usuario específico.
    * @param {string} sourceID - El ID de fuente único para la conversación.
    * @param {string} contactID - El ID del contacto para el cual se crea la conversación.
+   * @param {string} [status="open"] - Estado inicial de la conversación.
    * @returns {number} Retorna el ID de la conversación creada.
    */
-  async createNewConversation(sourceID, contactID) {
+  async createNewConversation(sourceID, contactID, status = "open") {
+    const { assigneeID, teamID } = this.conversationOptions;
     const data = {
       source_id: sourceID,
       inbox_id: this.inboxID,
       contact_id: contactID,
-      status: "open",
-      assignee_id: this.idChatwoot,
+      status,
     };
+    if (assigneeID) {
+      data.assignee_id = assigneeID;
+    }
+    if (teamID) {
+      data.team_id = teamID;
+    }
 
     const response = await this._request(`/conversations`, {
       method: "POST",
       data: data,
+      findExisting: () => this._findCreatedConversation(contactID, status),
     });
 
     return response.id;
   }
 
   /**
-   * Envía notas al usuario en Chatwoot y gestiona la creación de usuarios y conversaciones si es necesario.
-   * Esta función también implementa un bloqueo para prevenir la creación de múltiples conversaciones.
+   * Busca la conversación que pudo crear un intento ambiguo: la más reciente
+   * del contacto en la bandeja con el estado pedido. Solo se crea una
+   * conversación cuando no hay ninguna reutilizable, así que si aparece una
+   * es la que se acaba de crear. Se llama desde dentro de la cola, por eso
+   * usa _send directamente.
+   * @param {number} contactID - ID del contacto.
+   * @param {string} status - Estado con el que se creó.
+   * @returns {Object|null} La conversación encontrada o null.
+   */
+  async _findCreatedConversation(contactID, status) {
+    const data = await this._send(`/contacts/${contactID}/conversations`);
+    const resolved = status === "resolved";
+    return ChatwootClient.latestInInbox(
+      data,
+      this.inboxID,
+      (c) => (c.status === "resolved") === resolved
+    );
+  }
+
+  /**
+   * Garantiza que el contacto, su atributo "funciones_del_bot" y una
+   * conversación en la bandeja existan, creándolos si hace falta. Todo ocurre
+   * bajo un bloqueo por teléfono, de modo que dos mensajes simultáneos de un
+   * cliente nuevo no crean contactos ni conversaciones duplicados.
+   *
+   * Con reopen false (importaciones) no se cambia el estado de nada: se
+   * reutiliza la última conversación aunque esté resuelta y, si no hay
+   * ninguna, se crea ya resuelta. Esas conversaciones no se guardan en la
+   * caché, para que los mensajes en vivo sigan aplicando la política.
+   *
    * @param {string} userPhone - Número de teléfono del usuario.
-   * @param {string} mensaje - Mensaje a enviar.
-   * @param {string} TypeUser - Tipo de mensaje (por ejemplo: "incoming" o "outgoing").
-   * @param {boolean} isPrivate - Indica si el mensaje es privado o visible para el usuario.
-   * @param {string} [name=null] - Nombre del usuario, utilizado si se necesita crear un nuevo usuario en Chatwoot.
-   * @returns {boolean} Retorna true si la nota fue enviada con éxito.
+   * @param {string} [name=null] - Nombre del usuario si hay que crear el contacto.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.reopen=true] - Aplica la política de las conversaciones resueltas.
+   * @returns {Promise<{contactID: number, conversationID: number, resolved: boolean}>}
+   *   resolved indica que la conversación quedó resuelta (solo con reopen false).
    */
-  async sendNotes(userPhone, mensaje, TypeUser, isPrivate, name = null) {
-    let userID = await this.getUserID(userPhone);
-    if (!userID) {
-      userID = await this.createContact(name, userPhone);
-      await new Promise((r) => setTimeout(r, 100));
-      const getAttributes = await this.getAttributes(userPhone);
-      if (!getAttributes) {
-        const result = await this.setAttributes(
-          userPhone,
-          "funciones_del_bot",
-          "On"
-        );
-        if (result) {
-          console.log("Atributo actualizado con éxito.");
-        }
+  async ensureConversation(userPhone, name = null, options = {}) {
+    const key = String(userPhone).replace(/^\+/, "");
+    const reopen = options.reopen ?? true;
+    return this.locks.run(key, async () => {
+      let contactID = await this.getUserID(userPhone);
+      if (!contactID) {
+        contactID = await this.createContact(name, userPhone);
       }
-    }
 
-    let conversation_id = await this.getConversationID(userID);
-    if (!conversation_id) {
-      // Adquiere el bloqueo
-      if (ChatwootClient.locks[userPhone]) {
-        while (ChatwootClient.locks[userPhone]) {
-          await new Promise((r) => setTimeout(r, 100));
+      const attributeValue = await this.getAttributes(userPhone);
+      if (!attributeValue) {
+        await this.setAttributes(userPhone, "funciones_del_bot", "On");
+      }
+
+      if (!reopen) {
+        const latest = await this.getLatestConversation(contactID);
+        if (latest) {
+          const resolved = latest.status === "resolved";
+          return { contactID, conversationID: latest.id, resolved };
         }
-        conversation_id = await this.getConversationID(userID);
-      } else {
-        ChatwootClient.locks[userPhone] = true;
+        const sourceID = await this.getSourceID(contactID, userPhone);
+        const conversationID = await this.createNewConversation(
+          sourceID,
+          contactID,
+          "resolved"
+        );
+        return { contactID, conversationID, resolved: true };
+      }
 
-        const sourceID = "someUniqueValue"; // Aquí, debes decidir cómo determinar el 'sourceID'. Podría ser el userID u otro valor único.
-        conversation_id = await this.createNewConversation(sourceID, userID);
-        ChatwootClient.locks[userPhone] = false;
+      let conversationID = await this.getConversationID(contactID, userPhone);
+      if (!conversationID) {
+        const sourceID = await this.getSourceID(contactID, userPhone);
+        conversationID = await this.createNewConversation(sourceID, contactID);
+        await this.cache.update(userPhone, { conversationID });
       }
-    }
 
-    await this._request(`/conversations/${conversation_id}/messages`, {
-      method: "POST",
-      data: {
-        content: mensaje,
-        message_type: TypeUser,
-        private: isPrivate,
-      },
+      return { contactID, conversationID, resolved: false };
     });
-
-    return true;
   }
 
   /**
-   * Descarga un archivo desde un enlace y lo retorna como un stream.
-   * @param {string} url - URL del archivo a descargar.
-   * @returns {Stream} Stream del archivo descargado.
+   * source_id de todos los mensajes de una conversación, recorriendo sus
+   * páginas de la más reciente a la más antigua.
+   * @param {number} conversationID - ID de la conversación.
+   * @returns {Promise<Set<string>>}
    */
-  async _downloadFile(url, token = null) {
-    const headers = {};
-
-    if (token) {
-      headers["Authorization"] = `Bearer ${token}`;
+  async listSourceIDs(conversationID) {
+    const sourceIDs = new Set();
+    let before = null;
+    for (;;) {
+      const data = await this._request(
+        `/conversations/${conversationID}/messages`,
+        { params: before ? { before } : {} }
+      );
+      const messages = data?.payload || [];
+      for (const message of messages) {
+        if (message.source_id) sourceIDs.add(message.source_id);
+      }
+      if (messages.length === 0) break;
+      const oldest = Math.min(...messages.map((m) => m.id));
+      // Sin paginación la misma página se repetiría indefinidamente.
+      if (before !== null && oldest >= before) break;
+      before = oldest;
     }
+    return sourceIDs;
+  }
 
-    const response = await axios.get(url, {
-      responseType: "stream",
-      headers: headers,
+  /**
+   * Envía notas al usuario en Chatwoot y gestiona la creación de usuarios y conversaciones si es necesario.
+   * @param {string} userPhone - Número de teléfono del usuario.
+   * @param {string} mensaje - Mensaje a enviar.
+   * @param {string} TypeUser - Tipo de mensaje (por ejemplo: "incoming" o "outgoing").
+   * @param {boolean} isPrivate - Indica si el mensaje es privado o visible para el usuario.
+   * @param {string} [name=null] - Nombre del usuario, utilizado si se necesita crear un nuevo usuario en Chatwoot.
+   * @param {Object} [options={}] - Campos opcionales (ver messageFields).
+   * @returns {boolean} Retorna true si la nota fue enviada con éxito.
+   */
+  async sendNotes(
+    userPhone,
+    mensaje,
+    TypeUser,
+    isPrivate,
+    name = null,
+    options = {}
+  ) {
+    const { conversationID: conversation_id } = await this.ensureConversation(
+      userPhone,
+      name
+    );
+    await this.createMessage(
+      conversation_id,
+      mensaje,
+      TypeUser,
+      isPrivate,
+      options
+    );
+    return true;
+  }
+
+  /**
+   * Publica un mensaje de texto en una conversación concreta.
+   * @param {number} conversationID - ID de la conversación.
+   * @param {string} content - Texto del mensaje.
+   * @param {string} messageType - "incoming" u "outgoing".
+   * @param {boolean} isPrivate - Indica si es una nota privada.
+   * @param {Object} [options={}] - Campos opcionales (ver messageFields).
+   * @returns {Promise<Object>} El mensaje creado.
+   */
+  async createMessage(
+    conversationID,
+    content,
+    messageType,
+    isPrivate,
+    options = {}
+  ) {
+    const fields = ChatwootClient.messageFields(options);
+    return this._request(`/conversations/${conversationID}/messages`, {
+      method: "POST",
+      data: {
+        content,
+        message_type: messageType,
+        private: isPrivate,
+        ...fields,
+      },
+      findExisting: () =>
+        this._findMessageBySourceID(conversationID, fields.source_id),
     });
-    return {
-      dataStream: response.data,
-      contentType: response.headers["content-type"],
-    };
   }
 
   /**
    * Envía un mensaje a Chatwoot con texto y/o adjuntos.
+   *
+   * Cada adjunto puede ser una URL, un Buffer, un data URI, un objeto de media
+   * del provider o, con options.allowLocalFiles, una ruta local. Los que no se
+   * pueden cargar o no cumplen los límites configurados se omiten y se
+   * explica el motivo en una nota privada.
+   *
    * @param {string} userPhone - Número de teléfono del usuario.
    * @param {string} [mensaje] - Mensaje a enviar (opcional).
-   * @param {string[]} [fileUrls] - Array de URLs de archivos para adjuntar (opcional).
+   * @param {Array<string|Buffer|Object>} [fileUrls] - Adjuntos a enviar (opcional).
    * @param {string} TypeUser - Tipo de mensaje (e.g., "outgoing" o "incoming").
    * @param {boolean} isPrivate - Indica si el mensaje es privado.
+   * @param {string} [token=null] - Token para descargar los archivos.
+   * @param {string} [name=null] - Nombre del usuario si hay que crear el contacto.
+   * @param {Object} [options={}] - Campos opcionales (ver messageFields).
+   * @param {boolean} [options.allowLocalFiles=false] - Permite adjuntar rutas locales; solo para adjuntos que define el propio bot.
    */
   async sendMessageWithAttachments(
     userPhone,
@@ -330,10 +1062,14 @@ class ChatwootClient {
     fileUrls = [],
     TypeUser,
     isPrivate = false,
-    token = null
+    token = null,
+    name = null,
+    options = {}
   ) {
-    const userID = await this.getUserID(userPhone);
-    const conversation_id = await this.getConversationID(userID);
+    const { conversationID: conversation_id } = await this.ensureConversation(
+      userPhone,
+      name
+    );
 
     const form = new FormData();
 
@@ -341,42 +1077,131 @@ class ChatwootClient {
       form.append("content", mensaje);
     }
 
-    for (let url of fileUrls) {
-      const fileResult = await this._downloadFile(url, token);
+    const skipped = [];
+    let attached = 0;
+    for (let source of fileUrls) {
+      try {
+        const file = await this.media.load(source, {
+          token,
+          allowLocalFiles: options.allowLocalFiles,
+        });
+        form.append("attachments[]", file.buffer, {
+          filename: file.filename,
+          contentType: file.mimeType,
+        });
+        attached++;
+      } catch (error) {
+        skipped.push(`${MediaLoader.describe(source)}: ${error.message}`);
+      }
+    }
 
-      const fileExtension = mime.getExtension(fileResult.contentType);
+    if (mensaje || attached > 0) {
+      const fields = ChatwootClient.messageFields(options);
+      form.append("message_type", TypeUser);
+      form.append("private", isPrivate.toString());
+      form.append("source_id", fields.source_id);
+      if (fields.content_attributes) {
+        form.append(
+          "content_attributes",
+          JSON.stringify(fields.content_attributes)
+        );
+      }
 
-      if (fileExtension) {
-        const fileName = `Documento.${fileExtension}`;
-        form.append("attachments[]", fileResult.dataStream, {
-          filename: fileName,
+      try {
+        // El cuerpo se envía como Buffer para que se pueda reintentar.
+        await this._request(`/conversations/${conversation_id}/messages`, {
+          method: "POST",
+          headers: {
+            ...form.getHeaders(),
+            api_access_token: this.apiAccessToken,
+          },
+          data: form.getBuffer(),
+          findExisting: () =>
+            this._findMessageBySourceID(conversation_id, fields.source_id),
         });
-      } else {
-        console.error(`No se pudo determinar la extensión para la URL: ${url}`);
+      } catch (error) {
+        this.logger.error("Error al enviar el mensaje con adjuntos", {
+          phone: userPhone,
+          error,
+        });
+        throw error;
       }
     }
 
-    form.append("message_type", TypeUser);
-    form.append("private", isPrivate.toString());
+    if (skipped.length > 0) {
+      await this.sendPrivateNote(
+        conversation_id,
+        `No se pudieron adjuntar ${skipped.length} archivo(s):\n- ${skipped.join("\n- ")}`
+      );
+    }
+    return true;
+  }
 
-    try {
-      await this._request(`/conversations/${conversation_id}/messages`, {
+  /**
+   * Asigna la conversación a un agente y/o a un equipo.
+   * @param {number} conversationID - ID de la conversación.
+   * @param {Object} target
+   * @param {number} [target.agentID] - ID del agente.
+   * @param {number} [target.teamID] - ID del equipo.
+   */
+  async assignConversation(conversationID, { agentID, teamID } = {}) {
+    if (teamID) {
+      await this._request(`/conversations/${conversationID}/assignments`, {
         method: "POST",
-        headers: {
-          ...form.getHeaders(),
-          api_access_token: this.apiAccessToken,
-        },
-        data: form,
+        data: { team_id: teamID },
+      });
+    }
+    if (agentID) {
+      await this._request(`/conversations/${conversationID}/assignments`, {
+        method: "POST",
+        data: { assignee_id: agentID },
       });
-      return true;
-    } catch (error) {
-      console.error(
-        "Failed to send message:",
-        error.response?.data || error.message
-      );
-      throw error;
     }
   }
+
+  /**
+   * Cambia la prioridad de la conversación.
+   * @param {number} conversationID - ID de la conversación.
+   * @param {string|null} priority - urgent, high, medium, low o null.
+   */
+  async setConversationPriority(conversationID, priority) {
+    await this._request(`/conversations/${conversationID}/toggle_priority`, {
+      method: "POST",
+      data: { priority },
+    });
+  }
+
+  /**
+   * Cambia el estado de la conversación.
+   * @param {number} conversationID - ID de la conversación.
+   * @param {string} status - open, pending, snoozed o resolved.
+   */
+  async setConversationStatus(conversationID, status) {
+    await this._request(`/conversations/${conversationID}/toggle_status`, {
+      method: "POST",
+      data: { status },
+    });
+  }
+
+  /**
+   * Publica una nota privada, visible solo para los agentes.
+   * @param {number} conversationID - ID de la conversación.
+   * @param {string} content - Texto de la nota.
+   */
+  async sendPrivateNote(conversationID, content) {
+    const messageSourceID = ChatwootClient.buildSourceID();
+    await this._request(`/conversations/${conversationID}/messages`, {
+      method: "POST",
+      data: {
+        content,
+        message_type: "outgoing",
+        private: true,
+        source_id: messageSourceID,
+      },
+      findExisting: () =>
+        this._findMessageBySourceID(conversationID, messageSourceID),
+    });
+  }
 }
 
 module.exports = ChatwootClient;
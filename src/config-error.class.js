@@ -0,0 +1,20 @@
+// Error de configuración detectado al iniciar el dashboard
+class ChatwootConfigError extends Error {
+  /**
+   * @param {string[]} problems - Problemas encontrados, uno por elemento.
+   * @param {Error} [cause] - Error original, si lo hubo.
+   */
+  constructor(problems, cause = null) {
+    const list = [].concat(problems);
+    super(
+      `Configuración de Chatwoot inválida:\n${list
+        .map((problem) => `- ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ChatwootConfigError";
+    this.problems = list;
+    this.cause = cause;
+  }
+}
+
+module.exports = ChatwootConfigError;
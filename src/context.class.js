@@ -0,0 +1,88 @@
+// Registro en memoria de la interacción del bot con cada número: último
+// flujo, última pregunta y respuestas capturadas. Se usa para resumir la
+// conversación al escalarla a un agente.
+class ConversationContext {
+  /**
+   * @param {Object} [_options={}] - Opciones del registro.
+   * @param {number} [_options.maxAnswers=20] - Respuestas guardadas por número.
+   * @param {number} [_options.maxSize=1000] - Números guardados como máximo.
+   */
+  constructor(_options = {}) {
+    this.maxAnswers = _options.maxAnswers ?? 20;
+    this.maxSize = _options.maxSize ?? 1000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Entrada de un número, creándola si no existe. La entrada pasa al final
+   * del mapa para descartar primero los números inactivos.
+   * @param {string} phone - Número sin "+".
+   * @returns {Object}
+   */
+  _entry(phone) {
+    let entry = this.entries.get(phone);
+    if (entry) {
+      this.entries.delete(phone);
+    } else {
+      entry = { lastFlow: null, pendingQuestion: null, answers: [] };
+      if (this.entries.size >= this.maxSize) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+    this.entries.set(phone, entry);
+    return entry;
+  }
+
+  /**
+   * Registra una respuesta del bot.
+   * @param {string} phone - Número sin "+".
+   * @param {string} answer - Texto enviado por el bot.
+   * @param {Object} [ctxMessage] - Contexto del mensaje de @bot-whatsapp.
+   */
+  recordOutgoing(phone, answer, ctxMessage = {}) {
+    const entry = this._entry(phone);
+    const keyword = ctxMessage?.keyword;
+    if (keyword) {
+      entry.lastFlow = [].concat(keyword).join(", ");
+    }
+    // Las respuestas con capture esperan un dato del cliente.
+    entry.pendingQuestion = ctxMessage?.options?.capture ? answer : null;
+  }
+
+  /**
+   * Registra un mensaje del cliente; si responde a una pregunta con
+   * capture, se guarda como respuesta capturada.
+   * @param {string} phone - Número sin "+".
+   * @param {string} text - Texto del cliente.
+   */
+  recordIncoming(phone, text) {
+    const entry = this._entry(phone);
+    if (!entry.pendingQuestion) return;
+    entry.answers.push({ question: entry.pendingQuestion, answer: text });
+    entry.answers = entry.answers.slice(-this.maxAnswers);
+    entry.pendingQuestion = null;
+  }
+
+  /**
+   * Contexto registrado de un número.
+   * @param {string} phone - Número sin "+".
+   * @returns {{lastFlow: string|null, answers: Array<{question: string, answer: string}>}}
+   */
+  get(phone) {
+    const entry = this.entries.get(phone);
+    return {
+      lastFlow: entry?.lastFlow || null,
+      answers: entry ? [...entry.answers] : [],
+    };
+  }
+
+  /**
+   * Olvida el contexto de un número.
+   * @param {string} phone - Número sin "+".
+   */
+  clear(phone) {
+    this.entries.delete(phone);
+  }
+}
+
+module.exports = ConversationContext;
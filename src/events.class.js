@@ -0,0 +1,269 @@
+const { EventEmitter } = require("events");
+const Logger = require("./logger.class");
+
+/**
+ * Agente o bot de Chatwoot.
+ * @typedef {Object} Agent
+ * @property {number} id
+ * @property {string|null} name
+ * @property {string|null} email
+ * @property {string} type - "user" para agentes, "agent_bot" para bots.
+ */
+
+/**
+ * Datos comunes de los eventos de conversación.
+ * @typedef {Object} ConversationEvent
+ * @property {string|null} phone - Número del cliente sin "+".
+ * @property {number|null} conversationID
+ * @property {number|null} contactID
+ * @property {Agent|null} agent - Agente asignado (o autor del mensaje en agent.message).
+ * @property {number|null} teamID
+ * @property {string[]} labels
+ * @property {string|null} status - open, pending, snoozed o resolved.
+ * @property {Object} raw - Payload original del webhook.
+ */
+
+/**
+ * Mensaje de un agente (agent.message): ConversationEvent más
+ * { messageID, content, attachments: [{ fileType, url }] }.
+ * @typedef {Object} AgentMessageEvent
+ */
+
+/**
+ * Contacto actualizado (contact.updated).
+ * @typedef {Object} ContactEvent
+ * @property {string|null} phone
+ * @property {number} contactID
+ * @property {string|null} name
+ * @property {string|null} email
+ * @property {Object} attributes - custom_attributes del contacto.
+ * @property {boolean} botActive - false si "funciones_del_bot" está en Off.
+ * @property {Object} raw
+ */
+
+/**
+ * Mensaje que no se pudo sincronizar con Chatwoot (sync.failed).
+ * @typedef {Object} SyncFailedEvent
+ * @property {string} phone
+ * @property {string} id - ID del mensaje en el outbox.
+ * @property {string} type - "incoming", "outgoing" o "update" (etiquetas y atributos).
+ * @property {number} attempts
+ * @property {boolean} dead - true si se movió a dead letter y no se reintentará.
+ * @property {Object} payload - Mensaje que se intentaba sincronizar.
+ * @property {Error} error
+ */
+
+// Nombres de los eventos públicos del dashboard.
+const EVENTS = [
+  "conversation.resolved",
+  "conversation.assigned",
+  "agent.message",
+  "contact.updated",
+  "sync.failed",
+];
+
+/**
+ * Número de teléfono sin el prefijo "+".
+ * @param {string} phone
+ * @returns {string|null}
+ */
+const cleanPhone = (phone) => (phone ? String(phone).replace(/^\+/, "") : null);
+
+/**
+ * Agente a partir de un objeto assignee o sender del webhook.
+ * @param {Object} agent
+ * @returns {Agent|null}
+ */
+const parseAgent = (agent) => {
+  if (!agent || agent.id === undefined) return null;
+  return {
+    id: agent.id,
+    name: agent.name || agent.available_name || null,
+    email: agent.email || null,
+    type: agent.type || "user",
+  };
+};
+
+// Emisor de los eventos públicos del dashboard. Traduce los webhooks de
+// Chatwoot a payloads con los datos ya extraídos y aísla los errores de los
+// manejadores para que no afecten a la sincronización.
+class DashboardEvents {
+  /**
+   * @param {Logger} [logger] - Registro de los errores de los manejadores.
+   */
+  constructor(logger = null) {
+    this.emitter = new EventEmitter();
+    this.logger = Logger.from(logger);
+  }
+
+  /**
+   * Lista de eventos disponibles.
+   * @returns {string[]}
+   */
+  static get EVENTS() {
+    return [...EVENTS];
+  }
+
+  /**
+   * Comprueba que el nombre del evento exista.
+   * @param {string} event - Nombre del evento.
+   * @throws {TypeError} Si el evento no existe.
+   */
+  static assertEvent(event) {
+    if (!EVENTS.includes(event)) {
+      throw new TypeError(
+        `Evento desconocido "${event}". Disponibles: ${EVENTS.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Suscribe un manejador, que puede ser asíncrono.
+   * @param {string} event - Nombre del evento.
+   * @param {Function} handler - Recibe el payload del evento.
+   */
+  on(event, handler) {
+    DashboardEvents.assertEvent(event);
+    this.emitter.on(event, handler);
+  }
+
+  /**
+   * Suscribe un manejador que se ejecuta una sola vez.
+   * @param {string} event - Nombre del evento.
+   * @param {Function} handler - Recibe el payload del evento.
+   */
+  once(event, handler) {
+    DashboardEvents.assertEvent(event);
+    this.emitter.once(event, handler);
+  }
+
+  /**
+   * Elimina un manejador.
+   * @param {string} event - Nombre del evento.
+   * @param {Function} handler - Manejador suscrito.
+   */
+  off(event, handler) {
+    DashboardEvents.assertEvent(event);
+    this.emitter.off(event, handler);
+  }
+
+  /**
+   * Ejecuta los manejadores de un evento sin esperarlos. Los errores,
+   * síncronos o de promesas rechazadas, se registran y no se propagan.
+   *
+   * @param {string} event - Nombre del evento.
+   * @param {Object} payload - Payload del evento.
+   */
+  emit(event, payload) {
+    for (const handler of this.emitter.rawListeners(event)) {
+      // rawListeners incluye el envoltorio de once(), que se quita al llamarlo.
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch((error) => {
+          this.logger.error("Error en el manejador de un evento", {
+            event,
+            error,
+          });
+        });
+    }
+  }
+
+  /**
+   * Datos comunes de un evento de conversación. Acepta tanto payloads de
+   * conversación como de mensaje (con la conversación en data.conversation).
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   * @returns {ConversationEvent}
+   */
+  static parseConversation(data) {
+    const conversation = data.conversation || data;
+    const meta = conversation.meta || {};
+    return {
+      phone: cleanPhone(meta.sender?.phone_number),
+      conversationID: conversation.id ?? null,
+      contactID:
+        meta.sender?.id ?? conversation.contact_inbox?.contact_id ?? null,
+      agent: parseAgent(meta.assignee),
+      teamID: meta.team?.id ?? conversation.team_id ?? null,
+      labels: conversation.labels || [],
+      status: conversation.status || null,
+      raw: data,
+    };
+  }
+
+  /**
+   * Payload de agent.message.
+   * @param {Object} data - Webhook message_created.
+   * @param {string} phone - Número del cliente, ya resuelto.
+   * @returns {AgentMessageEvent}
+   */
+  static parseAgentMessage(data, phone) {
+    return {
+      ...DashboardEvents.parseConversation(data),
+      phone: cleanPhone(phone),
+      agent: parseAgent(data.sender),
+      messageID: data.id,
+      content: data.content || "",
+      attachments: (data.attachments || []).map((attachment) => ({
+        fileType: attachment.file_type,
+        url: attachment.data_url,
+      })),
+    };
+  }
+
+  /**
+   * Payload de contact.updated.
+   * @param {Object} data - Webhook contact_updated.
+   * @returns {ContactEvent}
+   */
+  static parseContact(data) {
+    const attributes = data.custom_attributes || {};
+    return {
+      phone: cleanPhone(data.phone_number),
+      contactID: data.id,
+      name: data.name || null,
+      email: data.email || null,
+      attributes,
+      botActive: attributes.funciones_del_bot !== "Off",
+      raw: data,
+    };
+  }
+
+  /**
+   * Emite los eventos públicos que correspondan a un webhook de Chatwoot,
+   * salvo agent.message, que se emite al reenviar el mensaje.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   */
+  publishWebhook(data) {
+    switch (data?.event) {
+      case "contact_updated":
+        this.emit("contact.updated", DashboardEvents.parseContact(data));
+        return;
+      case "conversation_status_changed":
+        if (data.status === "resolved") {
+          this.emit(
+            "conversation.resolved",
+            DashboardEvents.parseConversation(data)
+          );
+        }
+        return;
+      case "conversation_updated": {
+        const assigneeChanged = (data.changed_attributes || []).some(
+          (change) => "assignee_id" in change
+        );
+        if (assigneeChanged) {
+          this.emit(
+            "conversation.assigned",
+            DashboardEvents.parseConversation(data)
+          );
+        }
+        return;
+      }
+      default:
+        return;
+    }
+  }
+}
+
+module.exports = DashboardEvents;
@@ -0,0 +1,190 @@
+// Da formato en Chatwoot a los mensajes que no son texto plano, para que el
+// agente vea lo mismo que el cliente.
+class MessageFormatter {
+  /**
+   * Enlace de Google Maps para unas coordenadas.
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {string}
+   */
+  static mapsLink(latitude, longitude) {
+    const query = `${latitude},${longitude}`;
+    return `https://www.google.com/maps/search/?api=1&query=${query}`;
+  }
+
+  /**
+   * Texto de una ubicación compartida por el cliente.
+   * @param {Object} location - { latitude, longitude, name, address }
+   * @returns {string}
+   */
+  static location(location) {
+    const { latitude, longitude, name, address } = location;
+    const lines = ["📍 Ubicación compartida"];
+    if (name) lines.push(name);
+    if (address) lines.push(address);
+    lines.push(`Coordenadas: ${latitude}, ${longitude}`);
+    lines.push(MessageFormatter.mapsLink(latitude, longitude));
+    return lines.join("\n");
+  }
+
+  /**
+   * Extrae nombre, teléfonos y correos de una vCard.
+   * @param {string} vcard - Contenido de la vCard.
+   * @returns {{name: string|null, phones: string[], emails: string[], organization: string|null}}
+   */
+  static parseVCard(vcard) {
+    const result = { name: null, phones: [], emails: [], organization: null };
+    // Las líneas que empiezan por espacio continúan la anterior (RFC 6350).
+    const lines = String(vcard || "")
+      .replace(/\r?\n[ \t]/g, "")
+      .split(/\r?\n/);
+    for (const line of lines) {
+      const separator = line.indexOf(":");
+      if (separator === -1) continue;
+      const key = line.slice(0, separator).split(";")[0].toUpperCase();
+      const value = line.slice(separator + 1).trim();
+      // WhatsApp agrupa campos con prefijos como "item1.TEL".
+      const field = key.includes(".") ? key.split(".").pop() : key;
+      if (field === "FN" && value) result.name = value;
+      if (field === "TEL" && value) result.phones.push(value);
+      if (field === "EMAIL" && value) result.emails.push(value);
+      if (field === "ORG" && value) {
+        result.organization = value.replace(/;+$/, "");
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Texto de una o varias tarjetas de contacto.
+   * @param {Array<{name: string, phones: string[], vcard: string}>} contacts
+   * @returns {string}
+   */
+  static contacts(contacts) {
+    return contacts
+      .map((contact) => {
+        const parsed = MessageFormatter.parseVCard(contact.vcard);
+        const name = parsed.name || contact.name || "Sin nombre";
+        const phones = [
+          ...new Set([...(contact.phones || []), ...parsed.phones]),
+        ];
+        const lines = [`👤 Contacto: ${name}`];
+        if (parsed.organization) lines.push(`Empresa: ${parsed.organization}`);
+        phones.forEach((phone) => lines.push(`Tel: ${phone}`));
+        parsed.emails.forEach((email) => lines.push(`Email: ${email}`));
+        return lines.join("\n");
+      })
+      .join("\n\n");
+  }
+
+  /**
+   * Texto de una reacción, que se publica como nota privada.
+   * @param {{emoji: string}} reaction
+   * @returns {string}
+   */
+  static reaction(reaction) {
+    return reaction.emoji
+      ? `El cliente reaccionó con ${reaction.emoji}`
+      : "El cliente quitó su reacción";
+  }
+
+  /**
+   * Contenido en texto de un mensaje entrante normalizado.
+   * @param {Object} message - Mensaje normalizado.
+   * @returns {string}
+   */
+  static incoming(message) {
+    if (message.type === "location" && message.location) {
+      return MessageFormatter.location(message.location);
+    }
+    if (message.type === "contact" && message.contacts?.length) {
+      return MessageFormatter.contacts(message.contacts);
+    }
+    return message.text || `[${message.type}]`;
+  }
+
+  /**
+   * Nota privada que resume la interacción con el bot al escalar a un agente.
+   * @param {Object} summary
+   * @param {string} [summary.reason] - Motivo del escalado.
+   * @param {string} [summary.priority] - Prioridad asignada.
+   * @param {string} [summary.lastFlow] - Último flujo ejecutado.
+   * @param {string} [summary.requestedAt] - Cuándo se pidió, si fue fuera de horario.
+   * @param {Array<{question: string, answer: string}>} [summary.answers] - Respuestas capturadas.
+   * @param {Object} [summary.context] - Datos adicionales del flujo (por ejemplo, su estado).
+   * @returns {string}
+   */
+  static escalation(summary) {
+    const lines = ["🚨 Conversación escalada por el bot"];
+    if (summary.reason) lines.push(`Motivo: ${summary.reason}`);
+    if (summary.priority) lines.push(`Prioridad: ${summary.priority}`);
+    if (summary.lastFlow) lines.push(`Último flujo: ${summary.lastFlow}`);
+    if (summary.requestedAt) {
+      lines.push(`Solicitada fuera de horario: ${summary.requestedAt}`);
+    }
+    if (summary.answers?.length) {
+      lines.push("", "Respuestas capturadas:");
+      summary.answers.forEach(({ question, answer }) =>
+        lines.push(`• ${question} → ${answer}`)
+      );
+    }
+    const context = Object.entries(summary.context || {});
+    if (context.length) {
+      lines.push("", "Datos del flujo:");
+      context.forEach(([key, value]) =>
+        lines.push(
+          `• ${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`
+        )
+      );
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Respuesta de fuera de horario. {opensAt} se sustituye por la próxima
+   * apertura.
+   * @param {string} template - Mensaje configurado.
+   * @param {string|null} opensAt - Próxima apertura ya formateada.
+   * @returns {string}
+   */
+  static outOfOffice(template, opensAt) {
+    return template.replace(/\{opensAt\}/g, opensAt || "próximamente");
+  }
+
+  /**
+   * Opciones de un mensaje saliente del bot (botones o lista) como
+   * opciones seleccionables de Chatwoot.
+   * @param {Object} [options={}] - ctxMessage.options del bot.
+   * @returns {{contentType: string, contentAttributes: Object}|null}
+   */
+  static select(options = {}) {
+    const items = [];
+    for (const button of options.buttons || []) {
+      const title = button.body || button.title || button.text;
+      if (title) items.push({ title, value: button.id || title });
+    }
+    for (const section of options.list?.sections || []) {
+      for (const row of section.rows || []) {
+        if (row.title) {
+          items.push({ title: row.title, value: row.id || row.title });
+        }
+      }
+    }
+    if (items.length === 0) return null;
+    return { contentType: "input_select", contentAttributes: { items } };
+  }
+
+  /**
+   * Texto plano con las opciones, para cuando no se pueden enviar como
+   * input_select (por ejemplo, junto a un adjunto).
+   * @param {Object} select - Resultado de MessageFormatter.select().
+   * @returns {string}
+   */
+  static selectAsText(select) {
+    return select.contentAttributes.items
+      .map((item) => `• ${item.title}`)
+      .join("\n");
+  }
+}
+
+module.exports = MessageFormatter;
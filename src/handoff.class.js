@@ -0,0 +1,82 @@
+// Clase que controla cuándo el bot responde a un número (modo humano)
+class HandoffManager {
+  /**
+   * @param {Object} bot - Instancia del bot de @bot-whatsapp.
+   */
+  constructor(bot) {
+    this.botInstance = bot;
+    this.paused = new Set();
+  }
+
+  /**
+   * Normaliza el número de teléfono quitando el prefijo "+".
+   * @param {string} phone - Número de teléfono.
+   * @returns {string}
+   */
+  static normalize(phone) {
+    return String(phone).replace(/^\+/, "");
+  }
+
+  /**
+   * Añade o quita el número de la lista negra dinámica del bot, que es la que
+   * el core consulta antes de ejecutar cualquier flujo.
+   *
+   * @param {string} phone - Número de teléfono.
+   * @param {boolean} blocked - true para bloquear, false para desbloquear.
+   */
+  _updateBlacklist(phone, blocked) {
+    const blacklist = this.botInstance?.dynamicBlacklist;
+    if (!blacklist) return;
+
+    if (blocked) {
+      if (typeof blacklist.add === "function") blacklist.add(phone);
+      else if (typeof blacklist.addToBlacklist === "function")
+        blacklist.addToBlacklist(phone);
+      return;
+    }
+
+    const isListed =
+      typeof blacklist.checkIf === "function" ? blacklist.checkIf(phone) : true;
+    if (!isListed) return;
+    if (typeof blacklist.remove === "function") blacklist.remove(phone);
+    else if (typeof blacklist.removeFromBlacklist === "function")
+      blacklist.removeFromBlacklist(phone);
+  }
+
+  /**
+   * Detiene las respuestas del bot para un número.
+   * @param {string} phone - Número de teléfono.
+   * @returns {boolean} true si el estado cambió.
+   */
+  pause(phone) {
+    const number = HandoffManager.normalize(phone);
+    if (this.paused.has(number)) return false;
+    this.paused.add(number);
+    this._updateBlacklist(number, true);
+    return true;
+  }
+
+  /**
+   * Reanuda las respuestas del bot para un número.
+   * @param {string} phone - Número de teléfono.
+   * @returns {boolean} true si el estado cambió.
+   */
+  resume(phone) {
+    const number = HandoffManager.normalize(phone);
+    if (!this.paused.has(number)) return false;
+    this.paused.delete(number);
+    this._updateBlacklist(number, false);
+    return true;
+  }
+
+  /**
+   * Indica si el bot está respondiendo a un número.
+   * @param {string} phone - Número de teléfono.
+   * @returns {boolean}
+   */
+  isActive(phone) {
+    return !this.paused.has(HandoffManager.normalize(phone));
+  }
+}
+
+module.exports = HandoffManager;
@@ -0,0 +1,202 @@
+// Días de la semana con el mismo índice que day_of_week de Chatwoot.
+const DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convierte "HH:MM" en minutos desde medianoche.
+ * @param {string} time
+ * @returns {number}
+ */
+const parseTime = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new TypeError(`Hora inválida: "${time}" (se espera HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Convierte un tramo ("09:00-18:00" o { open, close }) en minutos.
+ * @param {string|Object} range
+ * @returns {{start: number, end: number}}
+ */
+const parseRange = (range) => {
+  const [open, close] =
+    typeof range === "string" ? range.split("-") : [range.open, range.close];
+  const start = parseTime(open);
+  // "00:00" como cierre equivale a medianoche del mismo día.
+  const end = parseTime(close) || MINUTES_PER_DAY;
+  if (end <= start) {
+    throw new TypeError(`Tramo horario inválido: ${JSON.stringify(range)}`);
+  }
+  return { start, end };
+};
+
+// Horario de atención semanal en una zona horaria, con festivos. Responde si
+// hay agentes disponibles en un momento dado y cuándo vuelve a abrir.
+class BusinessHours {
+  /**
+   * @param {Object} [_options={}] - Horario.
+   * @param {string} [_options.timezone="UTC"] - Zona horaria IANA, por ejemplo "America/Bogota".
+   * @param {Object} [_options.weekly={}] - Tramos por día (sunday...saturday o 0-6):
+   *   "09:00-18:00", una lista de tramos o null para cerrado.
+   * @param {string[]} [_options.holidays=[]] - Fechas cerradas, "YYYY-MM-DD" en la zona horaria.
+   */
+  constructor(_options = {}) {
+    this.timezone = _options.timezone || "UTC";
+    this.holidays = new Set(_options.holidays || []);
+    this.days = DAY_NAMES.map(() => []);
+    for (const [day, ranges] of Object.entries(_options.weekly || {})) {
+      const index = /^\d$/.test(day)
+        ? Number(day)
+        : DAY_NAMES.indexOf(day.toLowerCase());
+      if (!this.days[index]) {
+        throw new TypeError(`Día inválido en el horario: "${day}"`);
+      }
+      this.days[index] = [].concat(ranges || []).map(parseRange);
+      this.days[index].sort((a, b) => a.start - b.start);
+    }
+    // Lanza RangeError si la zona horaria no existe.
+    this.formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: this.timezone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  /**
+   * Horario configurado en una bandeja de Chatwoot (working_hours).
+   *
+   * @param {Object} inbox - Bandeja devuelta por /inboxes/:id.
+   * @returns {BusinessHours|null} null si la bandeja no tiene horario activo.
+   */
+  static fromInbox(inbox) {
+    if (!inbox?.working_hours_enabled) return null;
+    const pad = (value) => String(value ?? 0).padStart(2, "0");
+    const weekly = {};
+    for (const day of inbox.working_hours || []) {
+      if (day.closed_all_day) continue;
+      weekly[day.day_of_week] = day.open_all_day
+        ? "00:00-24:00"
+        : `${pad(day.open_hour)}:${pad(day.open_minutes)}-` +
+          `${pad(day.close_hour)}:${pad(day.close_minutes)}`;
+    }
+    return new BusinessHours({ timezone: inbox.timezone || "UTC", weekly });
+  }
+
+  /**
+   * Fecha, día de la semana y minuto del día en la zona horaria.
+   *
+   * @param {Date} date
+   * @returns {{date: string, weekday: number, minutes: number}}
+   */
+  _local(date) {
+    const parts = Object.fromEntries(
+      this.formatter.formatToParts(date).map((p) => [p.type, p.value])
+    );
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: DAY_NAMES.findIndex((name) =>
+        name.startsWith(parts.weekday.toLowerCase())
+      ),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+  /**
+   * Indica si el horario está abierto en un momento dado.
+   *
+   * @param {Date} [date=new Date()]
+   * @returns {boolean}
+   */
+  isOpen(date = new Date()) {
+    const local = this._local(date);
+    if (this.holidays.has(local.date)) return false;
+    return this.days[local.weekday].some(
+      ({ start, end }) => local.minutes >= start && local.minutes < end
+    );
+  }
+
+  /**
+   * Próximo momento en que el horario abre; el propio momento si ya está
+   * abierto.
+   *
+   * @param {Date} [date=new Date()]
+   * @returns {Date|null} null si el horario no abre ningún día.
+   */
+  nextOpening(date = new Date()) {
+    if (this.days.every((ranges) => ranges.length === 0)) return null;
+    let time = date.getTime();
+    // Avanza de tramo en tramo; un año de festivos seguidos basta de límite.
+    for (let step = 0; step < 1000; step++) {
+      const current = new Date(time);
+      if (this.isOpen(current)) return current;
+      const local = this._local(current);
+      const next = this.holidays.has(local.date)
+        ? null
+        : this.days[local.weekday].find(({ start }) => start > local.minutes);
+      const wait = (next ? next.start : MINUTES_PER_DAY) - local.minutes;
+      time = this._advance(Math.floor(time / 60000) * 60000, local, wait);
+    }
+    return null;
+  }
+
+  /**
+   * Avanza wait minutos de hora local. Si entre medias cambia el horario de
+   * verano, el reloj local avanza una hora más o menos que el real, así que
+   * se corrige la diferencia; cuando la hora buscada no existe (el salto de
+   * primavera) se queda en la equivalente después del salto.
+   *
+   * @param {number} time - Instante de partida en milisegundos.
+   * @param {{date: string, minutes: number}} local - Hora local de time.
+   * @param {number} wait - Minutos de hora local que hay que avanzar.
+   * @returns {number} Instante de llegada en milisegundos.
+   */
+  _advance(time, local, wait) {
+    // Minutos transcurridos en hora local, contando el cambio de fecha.
+    const elapsed = (to) =>
+      (Date.parse(to.date) - Date.parse(local.date)) / 60000 +
+      to.minutes -
+      local.minutes;
+    const target = time + wait * 60000;
+    const drift = elapsed(this._local(new Date(target))) - wait;
+    if (drift === 0) return target;
+    const corrected = target - drift * 60000;
+    return elapsed(this._local(new Date(corrected))) === wait
+      ? corrected
+      : target;
+  }
+
+  /**
+   * Fecha legible en la zona horaria del horario.
+   *
+   * @param {Date} date
+   * @returns {string}
+   */
+  format(date) {
+    return date.toLocaleString("es", {
+      timeZone: this.timezone,
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+}
+
+module.exports = BusinessHours;
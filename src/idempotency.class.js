@@ -0,0 +1,66 @@
+// Registro de mensajes ya procesados, para no publicar dos veces el mismo
+// mensaje de WhatsApp ni reenviar el mismo mensaje de Chatwoot.
+class IdempotencyTracker {
+  /**
+   * @param {Object} [_options={}] - Opciones del registro.
+   * @param {number} [_options.ttl=600000] - Milisegundos que se recuerda un ID.
+   * @param {number} [_options.maxSize=10000] - IDs recordados como máximo.
+   */
+  constructor(_options = {}) {
+    this.ttl = _options.ttl ?? 10 * 60 * 1000;
+    this.maxSize = _options.maxSize ?? 10000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Indica si una clave está registrada y no ha caducado.
+   * @param {string} key - Clave.
+   * @returns {boolean}
+   */
+  has(key) {
+    const expiresAt = this.entries.get(key);
+    if (expiresAt === undefined) return false;
+    if (expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Registra una clave.
+   * @param {string} key - Clave.
+   * @param {number} [ttl] - Milisegundos; por defecto el ttl del registro.
+   */
+  add(key, ttl = this.ttl) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, Date.now() + ttl);
+  }
+
+  /**
+   * Registra la clave e indica si ya estaba registrada.
+   * @param {string} key - Clave.
+   * @returns {boolean} true si es un duplicado.
+   */
+  check(key) {
+    if (this.has(key)) return true;
+    this.add(key);
+    return false;
+  }
+
+  /**
+   * Consume una clave registrada: devuelve true y la elimina si existía.
+   * @param {string} key - Clave.
+   * @returns {boolean}
+   */
+  consume(key) {
+    if (!this.has(key)) return false;
+    this.entries.delete(key);
+    return true;
+  }
+}
+
+module.exports = IdempotencyTracker;
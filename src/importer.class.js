@@ -0,0 +1,321 @@
+const fs = require("fs");
+const { createHash } = require("crypto");
+const ChatwootClient = require("./client.class");
+const Logger = require("./logger.class");
+
+// Respuestas internas del core de @bot-whatsapp que no llegan al cliente
+// (__call_action__, __capture_only_intended__, __end_flow__...).
+const INTERNAL_ANSWER = /^__\w+__$/;
+
+// Importa a Chatwoot el historial guardado por el adaptador de base de datos
+// de @bot-whatsapp (Mock, JSON, Mongo o MySQL). Los mensajes se publican en
+// orden con su dirección original y el progreso se guarda en un archivo de
+// checkpoint, de modo que una importación interrumpida continúa donde quedó
+// y una repetida no duplica mensajes. Importar no cambia el estado de las
+// conversaciones: el historial no debe llenar la bandeja de los agentes.
+//
+// Solo se importa lo que ya estaba en la base de datos al empezar la primera
+// ejecución: lo posterior lo sincroniza el dashboard en vivo.
+class HistoryImporter {
+  /**
+   * @param {Object} chatwoot - Instancia de ChatwootClient.
+   * @param {Object} [_options={}] - Opciones de la importación.
+   * @param {string} [_options.checkpoint="chatwoot-import.json"] - Archivo de progreso.
+   * @param {boolean} [_options.dryRun=false] - Solo informa lo que se importaría, sin llamar a Chatwoot ni guardar el progreso.
+   * @param {string[]} [_options.phones] - Importa solo estos números.
+   * @param {boolean} [_options.showDates=true] - Antepone la fecha original al texto, porque Chatwoot usa la fecha de publicación.
+   * @param {Function} [_options.read] - Función asíncrona (database) que devuelve las filas del historial, para adaptadores propios.
+   * @param {Logger} [_options.logger] - Registro de eventos.
+   */
+  constructor(chatwoot, _options = {}) {
+    this.chatwoot = chatwoot;
+    this.checkpointPath = _options.checkpoint || "chatwoot-import.json";
+    this.dryRun = Boolean(_options.dryRun);
+    this.phones = _options.phones
+      ? new Set(_options.phones.map((p) => String(p).replace(/^\+/, "")))
+      : null;
+    this.showDates = _options.showDates ?? true;
+    this.read = _options.read || null;
+    this.logger = Logger.from(_options.logger);
+  }
+
+  /**
+   * Lee todas las filas del historial de un adaptador de @bot-whatsapp/database
+   * en el orden en que se guardaron.
+   *
+   * @param {Object} database - Adaptador (MockAdapter, JsonFileAdapter, MongoAdapter o MySQLAdapter).
+   * @returns {Promise<Object[]>}
+   */
+  static async readHistory(database) {
+    // Mongo y MySQL solo guardan en listHistory lo de la sesión actual.
+    if (typeof database?.db?.collection === "function") {
+      return database.db
+        .collection("history")
+        .find({})
+        .sort({ date: 1, _id: 1 })
+        .toArray();
+    }
+    if (typeof database?.db?.query === "function") {
+      return new Promise((resolve, reject) => {
+        database.db.query(
+          "SELECT * FROM history ORDER BY id ASC",
+          (error, rows) => (error ? reject(error) : resolve(rows))
+        );
+      });
+    }
+    if (Array.isArray(database?.listHistory)) {
+      return [...database.listHistory];
+    }
+    throw new TypeError(
+      "Adaptador de base de datos no soportado; usa la opción read"
+    );
+  }
+
+  /**
+   * Dirección de una fila. El core guarda el texto del cliente con keyword
+   * igual al refSerialize del mensaje anterior; las respuestas del bot
+   * llevan la palabra clave del flujo o la ref de la respuesta anterior.
+   *
+   * @param {Object} row - Fila del historial.
+   * @param {Object|null} previous - Fila anterior del mismo número.
+   * @returns {"incoming"|"outgoing"}
+   */
+  static direction(row, previous) {
+    if (row.direction === "incoming" || row.direction === "outgoing") {
+      return row.direction;
+    }
+    const isReply =
+      previous?.refSerialize && row.keyword === previous.refSerialize;
+    return isReply ? "incoming" : "outgoing";
+  }
+
+  /**
+   * Agrupa las filas por número y las convierte en mensajes a publicar,
+   * descartando las respuestas internas del core.
+   *
+   * @param {Object[]} rows - Filas del historial.
+   * @returns {Map<string, Object[]>} Mensajes por número, en orden.
+   */
+  static group(rows) {
+    const previousByPhone = new Map();
+    const conversations = new Map();
+    for (const row of rows) {
+      const phone = String(row.from ?? row.phone ?? "").replace(/^\+/, "");
+      if (!phone) continue;
+      const previous = previousByPhone.get(phone) || null;
+      previousByPhone.set(phone, row);
+
+      const text = typeof row.answer === "string" ? row.answer.trim() : "";
+      if (INTERNAL_ANSWER.test(text)) continue;
+      const options = HistoryImporter.parseOptions(row.options);
+      if (!text && !options.media) continue;
+
+      if (!conversations.has(phone)) conversations.set(phone, []);
+      const messages = conversations.get(phone);
+      const date = row.date || row.created_at || null;
+      messages.push({
+        phone,
+        direction: HistoryImporter.direction(row, previous),
+        text,
+        media: options.media || null,
+        date: date ? new Date(date) : null,
+        // Posición y texto identifican la fila aunque el historial crezca.
+        externalID: `import:${createHash("sha1")
+          .update(`${phone}:${messages.length}:${text}`)
+          .digest("hex")}`,
+      });
+    }
+    return conversations;
+  }
+
+  /**
+   * Las opciones se guardan como objeto (Mock, JSON, Mongo) o como JSON
+   * (MySQL).
+   *
+   * @param {Object|string} options - Columna options de la fila.
+   * @returns {Object}
+   */
+  static parseOptions(options) {
+    if (typeof options !== "string") return options || {};
+    try {
+      return JSON.parse(options) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Texto con el que se publica un mensaje importado.
+   *
+   * @param {Object} message - Mensaje de group().
+   * @returns {string}
+   */
+  content(message) {
+    const lines = [];
+    if (this.showDates && message.date && !isNaN(message.date)) {
+      lines.push(`🕓 ${message.date.toLocaleString("es")}`);
+    }
+    if (message.text) lines.push(message.text);
+    if (message.media) lines.push(`📎 ${message.media}`);
+    return lines.join("\n");
+  }
+
+  /**
+   * Lee el checkpoint; sin archivo devuelve uno vacío.
+   *
+   * @returns {Promise<{startedAt: string|null, limits: Object, imported: Object}>}
+   */
+  async loadCheckpoint() {
+    try {
+      const content = await fs.promises.readFile(this.checkpointPath, "utf8");
+      return { limits: {}, imported: {}, ...JSON.parse(content) };
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return { startedAt: null, limits: {}, imported: {} };
+    }
+  }
+
+  /**
+   * Guarda el checkpoint de forma atómica.
+   *
+   * @param {Object} checkpoint
+   */
+  async saveCheckpoint(checkpoint) {
+    const tmpPath = `${this.checkpointPath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(checkpoint, null, 2));
+    await fs.promises.rename(tmpPath, this.checkpointPath);
+  }
+
+  /**
+   * Publica los mensajes pendientes de un número en su última conversación,
+   * sin reabrirla (ver ChatwootClient.ensureConversation). Los que ya están
+   * en Chatwoot con el mismo source_id se omiten, por si se perdió el
+   * checkpoint o el proceso se cortó entre la publicación y el guardado.
+   *
+   * Chatwoot reabre las conversaciones resueltas al recibir un mensaje
+   * entrante, así que al terminar se vuelven a dejar resueltas.
+   *
+   * @param {string} phone - Número sin "+".
+   * @param {Object[]} pending - Mensajes de group() pendientes, en orden.
+   * @param {Object} checkpoint - Checkpoint que se actualiza y guarda.
+   * @param {Object} report - Informe de run() que se actualiza.
+   */
+  async importConversation(phone, pending, checkpoint, report) {
+    let conversation = null;
+    let posted = 0;
+    try {
+      conversation = await this.chatwoot.ensureConversation(phone, null, {
+        reopen: false,
+      });
+      const existing = await this.chatwoot.listSourceIDs(
+        conversation.conversationID
+      );
+      for (const message of pending) {
+        const sourceID = ChatwootClient.buildSourceID(message.externalID);
+        if (existing.has(sourceID)) {
+          report.skipped++;
+        } else {
+          await this.chatwoot.createMessage(
+            conversation.conversationID,
+            this.content(message),
+            message.direction,
+            false,
+            { externalID: message.externalID }
+          );
+          posted++;
+          report.imported++;
+        }
+        checkpoint.imported[phone] = (checkpoint.imported[phone] || 0) + 1;
+        await this.saveCheckpoint(checkpoint);
+      }
+    } catch (error) {
+      report.failed++;
+      this.logger.error("Error al importar el historial del número", {
+        phone,
+        error,
+      });
+    }
+
+    if (conversation?.resolved && posted > 0) {
+      try {
+        await this.chatwoot.setConversationStatus(
+          conversation.conversationID,
+          "resolved"
+        );
+      } catch (error) {
+        this.logger.warn("No se pudo volver a resolver la conversación", {
+          phone,
+          conversationID: conversation.conversationID,
+          error,
+        });
+      }
+    }
+  }
+
+  /**
+   * Importa el historial. Si falla un mensaje se pasa al siguiente número,
+   * para no desordenar la conversación; al repetir la importación se
+   * reintenta desde ese mensaje.
+   *
+   * @param {Object} database - Adaptador de @bot-whatsapp/database.
+   * @returns {Promise<{dryRun: boolean, conversations: number, imported: number, skipped: number, failed: number, messages: Object[]}>}
+   *   messages solo se rellena en dryRun.
+   */
+  async run(database) {
+    const checkpoint = await this.loadCheckpoint();
+    const rows = this.read
+      ? await this.read(database)
+      : await HistoryImporter.readHistory(database);
+    const conversations = HistoryImporter.group(rows);
+
+    if (!checkpoint.startedAt) {
+      checkpoint.startedAt = new Date().toISOString();
+      for (const [phone, messages] of conversations) {
+        checkpoint.limits[phone] = messages.length;
+      }
+      if (!this.dryRun) await this.saveCheckpoint(checkpoint);
+    }
+
+    const report = {
+      dryRun: this.dryRun,
+      conversations: 0,
+      imported: 0,
+      skipped: 0,
+      failed: 0,
+      messages: [],
+    };
+    for (const [phone, messages] of conversations) {
+      if (this.phones && !this.phones.has(phone)) continue;
+      const limit = checkpoint.limits[phone] ?? 0;
+      const done = checkpoint.imported[phone] || 0;
+      report.skipped += Math.min(done, messages.length);
+      const pending = messages.slice(done, limit);
+      if (pending.length === 0) continue;
+      report.conversations++;
+
+      if (!this.dryRun) {
+        await this.importConversation(phone, pending, checkpoint, report);
+        continue;
+      }
+      for (const message of pending) {
+        report.messages.push({
+          phone,
+          direction: message.direction,
+          content: this.content(message),
+        });
+        report.imported++;
+      }
+    }
+
+    const { conversations: total, imported, skipped, failed } = report;
+    this.logger.info(
+      this.dryRun
+        ? "Simulación de importación terminada"
+        : "Importación terminada",
+      { conversations: total, imported, skipped, failed }
+    );
+    return report;
+  }
+}
+
+module.exports = HistoryImporter;
@@ -1,18 +1,63 @@
 const BotWrapper = require("./wrapper.class");
+const MemoryStore = require("./memory-store.class");
+const ChatwootApiError = require("./api-error.class");
+const WebhookServer = require("./server.class");
+const ChatwootConfigError = require("./config-error.class");
+const ChatwootClient = require("./client.class");
+const Provisioner = require("./provisioner.class");
+const HistoryImporter = require("./importer.class");
+const Logger = require("./logger.class");
 /**
- * Crear 
+ * Crear un dashboard independiente para un bot y una bandeja de Chatwoot.
+ * Se puede llamar varias veces; todas las instancias comparten el servidor de webhooks.
  * @param {*} args
- * @returns
+ * @returns {Promise<BotWrapper>}
+ * @throws {ChatwootConfigError} Si la configuración, el token o la bandeja no son válidos
  */
 const createDashboard = async (chatwootEnvs = {}, botInstance = null) => {
     if (!botInstance) throw new Error('NOT_BOT_INSTANCE')
-    return BotWrapper.initialize(botInstance, {
+    const dashboard = new BotWrapper(botInstance, {
         CHATWOOT_URL: "",
         CHATWOOT_ID: "",
         CHATWOOT_INBOX_ID: "",
         CHATWOOT_API_ACCESS_TOKEN: "",
         ...chatwootEnvs
     });
+    return dashboard.initialize();
 }
 
-module.exports = { createDashboard }
\ No newline at end of file
+/**
+ * Crear un manejador de webhooks para varios dashboards, para montarlo en un
+ * servidor propio (Express, Polka o http de Node).
+ * @param {Array} dashboards - Dashboards creados con createDashboard y server: false
+ * @param {Object} [options] - path, healthPath, metricsPath, limit y logger
+ * @returns {Function} Manejador (req, res, next)
+ */
+const createWebhookHandler = (dashboards = [], options = {}) => {
+    return WebhookServer.createHandler(dashboards, options)
+}
+
+/**
+ * Importar a Chatwoot el historial de la base de datos del bot sin iniciar un dashboard.
+ * @param {Object} chatwootEnvs - CHATWOOT_URL, CHATWOOT_ID, CHATWOOT_INBOX_ID y CHATWOOT_API_ACCESS_TOKEN
+ * @param {Object} database - Adaptador de @bot-whatsapp/database
+ * @param {Object} [options] - checkpoint, dryRun, phones, showDates, read y logger
+ * @returns {Promise<Object>} Resumen de la importación
+ * @throws {ChatwootConfigError} Si la configuración, el token o la bandeja no son válidos
+ */
+const importHistory = async (chatwootEnvs = {}, database = null, options = {}) => {
+    if (!database && !options.read) throw new Error('NOT_DATABASE')
+    const logger = Logger.from(options.logger)
+    const chatwoot = new ChatwootClient({ ...chatwootEnvs, logger })
+    // En una simulación no se llama a Chatwoot.
+    await new Provisioner(chatwoot, chatwootEnvs, logger).run({ validate: !options.dryRun, provision: !options.dryRun })
+    const { CHATWOOT_ID, CHATWOOT_INBOX_ID } = chatwootEnvs
+    const importer = new HistoryImporter(chatwoot, {
+        checkpoint: `chatwoot-import-${CHATWOOT_ID}-${CHATWOOT_INBOX_ID}.json`,
+        ...options,
+        logger,
+    })
+    return importer.run(database)
+}
+
+module.exports = { createDashboard, createWebhookHandler, importHistory, MemoryStore, ChatwootApiError, ChatwootConfigError }
\ No newline at end of file
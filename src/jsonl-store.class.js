@@ -0,0 +1,118 @@
+const fs = require("fs");
+const Logger = require("./logger.class");
+
+// Almacén del outbox en un archivo JSON-lines. Cada línea es una operación
+// { op: "save", item } o { op: "remove", id }; al cargar se reproducen en orden.
+//
+// Cualquier adaptador con los métodos asíncronos load(), save(item) y
+// remove(id) puede sustituirlo (SQLite, Redis, una base de datos...); close()
+// es opcional y se llama al detener el dashboard.
+class JsonLinesStore {
+  /**
+   * @param {Object} [_options={}] - Opciones del almacén.
+   * @param {string} [_options.path="chatwoot-outbox.jsonl"] - Ruta del archivo.
+   * @param {number} [_options.compactEvery=500] - Operaciones entre compactaciones.
+   * @param {Logger} [_options.logger] - Registro de eventos.
+   */
+  constructor(_options = {}) {
+    this.path = _options.path || "chatwoot-outbox.jsonl";
+    this.compactEvery = _options.compactEvery ?? 500;
+    this.logger = Logger.from(_options.logger);
+    this.items = new Map();
+    this.operations = 0;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Lee el archivo y devuelve los elementos vigentes en orden de creación.
+   * @returns {Promise<Object[]>}
+   */
+  async load() {
+    let content = "";
+    try {
+      content = await fs.promises.readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    this.items.clear();
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === "save") this.items.set(entry.item.id, entry.item);
+        if (entry.op === "remove") this.items.delete(entry.id);
+      } catch (error) {
+        // Una línea truncada por un cierre abrupto no invalida el resto.
+        this.logger.warn("Línea inválida en el outbox, se ignora", {
+          path: this.path,
+        });
+      }
+    }
+    await this._compact();
+    return [...this.items.values()];
+  }
+
+  /**
+   * Espera a que terminen las escrituras en curso.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    // Los errores de escritura ya los recibió quien guardaba.
+    await this.writing.catch(() => {});
+  }
+
+  /**
+   * Guarda o actualiza un elemento.
+   * @param {Object} item - Elemento con propiedad id.
+   */
+  async save(item) {
+    this.items.set(item.id, item);
+    await this._append({ op: "save", item });
+  }
+
+  /**
+   * Elimina un elemento.
+   * @param {string} id - ID del elemento.
+   */
+  async remove(id) {
+    this.items.delete(id);
+    await this._append({ op: "remove", id });
+  }
+
+  /**
+   * Añade una operación al archivo, serializando las escrituras.
+   * @param {Object} entry - Operación a registrar.
+   */
+  async _append(entry) {
+    this.operations++;
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => fs.promises.appendFile(this.path, line));
+    await this.writing;
+    if (this.operations >= this.compactEvery) {
+      await this._compact();
+    }
+  }
+
+  /**
+   * Reescribe el archivo solo con los elementos vigentes.
+   */
+  async _compact() {
+    this.operations = 0;
+    const content = [...this.items.values()]
+      .map((item) => `${JSON.stringify({ op: "save", item })}\n`)
+      .join("");
+    const tmpPath = `${this.path}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.writeFile(tmpPath, content);
+        await fs.promises.rename(tmpPath, this.path);
+      });
+    await this.writing;
+  }
+}
+
+module.exports = JsonLinesStore;
@@ -0,0 +1,143 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Números de 8 a 15 dígitos, con o sin "+", como los teléfonos de WhatsApp.
+const PHONE_PATTERN = /(?<![\d])\+?\d{8,15}(?![\d])/g;
+
+// Registro con niveles y ocultación de teléfonos. Envuelve cualquier logger
+// con métodos debug/info/warn/error (pino, winston, console...).
+class Logger {
+  /**
+   * @param {Object} [target=console] - Logger de destino.
+   * @param {Object} [_options={}] - Opciones del registro.
+   * @param {string} [_options.level="info"] - Nivel mínimo: debug, info, warn, error o silent.
+   * @param {boolean} [_options.redact=true] - Oculta los números de teléfono.
+   * @param {Object} [_options.bindings] - Campos que se añaden a cada entrada.
+   */
+  constructor(target = console, _options = {}) {
+    this.target = target || console;
+    this.level = _options.level || "info";
+    this.redactPhones = _options.redact ?? true;
+    this.bindings = _options.bindings || {};
+    // pino recibe (objeto, mensaje); winston y console, (mensaje, objeto).
+    this.objectFirst = typeof this.target.levels?.values === "object";
+  }
+
+  /**
+   * Devuelve el logger si ya es un Logger o lo envuelve.
+   * @param {Object|Logger} [target] - Logger de destino.
+   * @param {Object} [options] - Opciones del constructor.
+   * @returns {Logger}
+   */
+  static from(target, options) {
+    return target instanceof Logger ? target : new Logger(target, options);
+  }
+
+  /**
+   * Oculta un número de teléfono dejando los últimos cuatro dígitos.
+   * @param {string} text - Texto a revisar.
+   * @returns {string}
+   */
+  static maskPhones(text) {
+    return String(text).replace(
+      PHONE_PATTERN,
+      (phone) => `***${phone.slice(-4)}`
+    );
+  }
+
+  /**
+   * Convierte un error en un objeto serializable, sin el cuerpo de la
+   * respuesta de Chatwoot, que puede contener datos del cliente.
+   * @param {Error} error
+   * @returns {Object}
+   */
+  static serializeError(error) {
+    if (!(error instanceof Error)) return { message: String(error) };
+    const serialized = { name: error.name, message: error.message };
+    for (const field of ["status", "endpoint", "method", "code", "attempts"]) {
+      if (error[field] !== undefined && error[field] !== null) {
+        serialized[field] = error[field];
+      }
+    }
+    return serialized;
+  }
+
+  /**
+   * Prepara los datos de una entrada: serializa errores y oculta teléfonos.
+   * @param {*} value - Valor a preparar.
+   * @param {number} [depth=0] - Profundidad actual.
+   * @returns {*}
+   */
+  _prepare(value, depth = 0) {
+    if (value instanceof Error) {
+      return this._prepare(Logger.serializeError(value), depth);
+    }
+    if (typeof value === "string") {
+      return this.redactPhones ? Logger.maskPhones(value) : value;
+    }
+    if (!value || typeof value !== "object" || depth > 4) return value;
+    if (Array.isArray(value)) {
+      return value.map((item) => this._prepare(item, depth + 1));
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        this._prepare(item, depth + 1),
+      ])
+    );
+  }
+
+  /**
+   * Escribe una entrada si el nivel está habilitado.
+   * @param {string} level - debug, info, warn o error.
+   * @param {string} message - Mensaje.
+   * @param {Object} [meta={}] - Datos estructurados.
+   */
+  log(level, message, meta = {}) {
+    if (LEVELS[level] < (LEVELS[this.level] ?? LEVELS.info)) return;
+    const text = this._prepare(message);
+    const data = this._prepare({ ...this.bindings, ...meta });
+    const write =
+      typeof this.target[level] === "function"
+        ? this.target[level].bind(this.target)
+        : this.target.log?.bind(this.target);
+    if (!write) return;
+    if (Object.keys(data).length === 0) {
+      write(text);
+    } else if (this.objectFirst) {
+      write(data, text);
+    } else {
+      write(text, data);
+    }
+  }
+
+  debug(message, meta) {
+    this.log("debug", message, meta);
+  }
+
+  info(message, meta) {
+    this.log("info", message, meta);
+  }
+
+  warn(message, meta) {
+    this.log("warn", message, meta);
+  }
+
+  error(message, meta) {
+    this.log("error", message, meta);
+  }
+
+  /**
+   * Logger con campos fijos añadidos a cada entrada.
+   * @param {Object} bindings - Campos a añadir.
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger(this.target, {
+      level: this.level,
+      redact: this.redactPhones,
+      bindings: { ...this.bindings, ...bindings },
+    });
+  }
+}
+
+module.exports = Logger;
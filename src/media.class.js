@@ -0,0 +1,331 @@
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const mime = require("mime");
+
+const GENERIC_TYPES = [
+  "",
+  "application/octet-stream",
+  "binary/octet-stream",
+  "application/binary",
+  "application/unknown",
+];
+
+// Firmas (magic bytes) de los formatos más habituales en WhatsApp.
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: "image/gif", ascii: "GIF8" },
+  { type: "application/pdf", ascii: "%PDF" },
+  { type: "audio/ogg", ascii: "OggS" },
+  { type: "audio/mpeg", ascii: "ID3" },
+  { type: "audio/amr", ascii: "#!AMR" },
+  { type: "video/webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+// Carga adjuntos desde cualquier origen y los deja listos para Chatwoot:
+// contenido en memoria, tipo MIME y nombre de archivo.
+class MediaLoader {
+  /**
+   * @param {Object} [_options={}] - Opciones de los adjuntos.
+   * @param {number} [_options.maxSize=41943040] - Tamaño máximo en bytes (40 MB, el límite por defecto de Chatwoot).
+   * @param {string[]} [_options.allowedTypes] - Tipos MIME permitidos; admite comodines como "image/*".
+   * @param {number} [_options.timeout=30000] - Tiempo máximo de descarga en milisegundos.
+   */
+  constructor(_options = {}) {
+    this.maxSize = _options.maxSize ?? 40 * 1024 * 1024;
+    this.allowedTypes = _options.allowedTypes || null;
+    this.timeout = _options.timeout ?? 30000;
+  }
+
+  /**
+   * Detecta el tipo MIME a partir de los primeros bytes del contenido.
+   * @param {Buffer} buffer - Contenido del archivo.
+   * @returns {string|null}
+   */
+  static sniff(buffer) {
+    if (!buffer || buffer.length < 4) return null;
+    const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "audio/wav";
+    if (ascii(4, 8) === "ftyp") {
+      const brand = ascii(8, 12);
+      if (brand.startsWith("M4A")) return "audio/mp4";
+      if (brand.startsWith("qt")) return "video/quicktime";
+      return "video/mp4";
+    }
+
+    for (const signature of SIGNATURES) {
+      const { ascii: text, bytes } = signature;
+      if (text && ascii(0, text.length) === text) {
+        return signature.type;
+      }
+      if (bytes && bytes.every((byte, index) => buffer[index] === byte)) {
+        return signature.type;
+      }
+    }
+
+    // Trama MPEG de audio sin cabecera ID3.
+    if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return "audio/mpeg";
+    return null;
+  }
+
+  /**
+   * Extrae el nombre de archivo de una cabecera Content-Disposition.
+   * @param {string} header - Valor de la cabecera.
+   * @returns {string|null}
+   */
+  static filenameFromDisposition(header) {
+    if (!header) return null;
+    const encoded = /filename\*\s*=\s*(?:[\w-]+)?'[^']*'([^;]+)/i.exec(header);
+    if (encoded) {
+      try {
+        return decodeURIComponent(encoded[1].trim());
+      } catch (error) {
+        // Si no se puede decodificar se usa el parámetro filename simple.
+      }
+    }
+    const plain = /filename\s*=\s*"?([^";]+)"?/i.exec(header);
+    return plain ? plain[1].trim() : null;
+  }
+
+  /**
+   * Extrae el nombre de archivo de la ruta de una URL.
+   * @param {string} url - URL del archivo.
+   * @returns {string|null}
+   */
+  static filenameFromURL(url) {
+    try {
+      const name = path.posix.basename(new URL(url).pathname);
+      return name && path.extname(name) ? decodeURIComponent(name) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Normaliza un Content-Type eliminando parámetros como charset.
+   * @param {string} contentType - Valor de la cabecera.
+   * @returns {string}
+   */
+  static baseType(contentType) {
+    return String(contentType || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Indica si un origen es una URL http(s).
+   * @param {*} source - Origen del adjunto.
+   * @returns {boolean}
+   */
+  static isRemoteURL(source) {
+    return typeof source === "string" && /^https?:\/\//i.test(source);
+  }
+
+  /**
+   * Descripción corta de un origen para mensajes de error.
+   * @param {*} source - Origen del adjunto.
+   * @returns {string}
+   */
+  static describe(source) {
+    if (Buffer.isBuffer(source)) return `buffer de ${source.length} bytes`;
+    if (typeof source === "string") {
+      if (source.startsWith("data:")) return "data URI";
+      if (/^https?:\/\//i.test(source)) return source.split("?")[0];
+      return path.basename(source);
+    }
+    return source?.filename || source?.fileName || source?.url || "adjunto";
+  }
+
+  /**
+   * Indica si un tipo MIME está permitido.
+   * @param {string} mimeType - Tipo MIME.
+   * @returns {boolean}
+   */
+  isAllowed(mimeType) {
+    if (!this.allowedTypes) return true;
+    return this.allowedTypes.some((allowed) =>
+      allowed.endsWith("/*")
+        ? mimeType.startsWith(allowed.slice(0, -1))
+        : mimeType === allowed
+    );
+  }
+
+  /**
+   * Descarga un archivo por HTTP respetando el tamaño máximo.
+   * @param {string} url - URL del archivo.
+   * @param {string} [token=null] - Token Bearer para la descarga.
+   * @returns {Promise<Object>}
+   */
+  async _fromURL(url, token = null) {
+    const headers = {};
+    if (token) {
+      headers["Authorization"] = `Bearer ${token}`;
+    }
+    try {
+      const response = await axios.get(url, {
+        responseType: "arraybuffer",
+        headers,
+        timeout: this.timeout,
+        maxContentLength: this.maxSize,
+      });
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: response.headers["content-type"],
+        filename:
+          MediaLoader.filenameFromDisposition(
+            response.headers["content-disposition"]
+          ) || MediaLoader.filenameFromURL(url),
+      };
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        throw new Error(`supera el tamaño máximo de ${this.maxSize} bytes`);
+      }
+      throw new Error(`no se pudo descargar (${error.message})`);
+    }
+  }
+
+  /**
+   * Lee un archivo local.
+   * @param {string} filePath - Ruta del archivo (admite file://).
+   * @returns {Promise<Object>}
+   */
+  async _fromPath(filePath) {
+    const resolved = filePath.startsWith("file://")
+      ? new URL(filePath).pathname
+      : filePath;
+    const stats = await fs.promises.stat(resolved).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      throw new Error("el archivo local no existe");
+    }
+    if (stats.size > this.maxSize) {
+      throw new Error(`supera el tamaño máximo de ${this.maxSize} bytes`);
+    }
+    return {
+      buffer: await fs.promises.readFile(resolved),
+      mimeType: mime.getType(resolved),
+      filename: path.basename(resolved),
+    };
+  }
+
+  /**
+   * Decodifica un data URI en base64.
+   * @param {string} dataURI - data:<tipo>;base64,<contenido>
+   * @returns {Object}
+   */
+  static _fromDataURI(dataURI) {
+    const match = /^data:([^;,]*)(;[^,]*)?,(.*)$/s.exec(dataURI);
+    if (!match) {
+      throw new Error("data URI inválido");
+    }
+    const isBase64 = (match[2] || "").includes(";base64");
+    return {
+      buffer: isBase64
+        ? Buffer.from(match[3], "base64")
+        : Buffer.from(decodeURIComponent(match[3])),
+      mimeType: match[1],
+      filename: null,
+    };
+  }
+
+  /**
+   * Obtiene el contenido de un objeto de media del provider, que puede traer
+   * el contenido (buffer o base64) o una URL.
+   * @param {Object} media - Objeto de media.
+   * @param {string} [token=null] - Token para descargar la URL.
+   * @returns {Promise<Object>}
+   */
+  async _fromObject(media, token = null) {
+    const content = media.buffer || media.data;
+    const filename = media.filename || media.fileName || null;
+    const mimeType = media.mimetype || media.mimeType || null;
+    if (content) {
+      return {
+        buffer: Buffer.isBuffer(content)
+          ? content
+          : Buffer.from(String(content), "base64"),
+        mimeType,
+        filename,
+      };
+    }
+    if (media.url) {
+      const file = await this._fromURL(media.url, media.token || token);
+      return {
+        ...file,
+        mimeType: mimeType || file.mimeType,
+        filename: filename || file.filename,
+      };
+    }
+    throw new Error("el objeto de media no tiene contenido ni URL");
+  }
+
+  /**
+   * Carga un adjunto desde una URL, un Buffer, un data URI, un objeto de
+   * media del provider o, si se permite, una ruta local, y valida tamaño y
+   * tipo.
+   *
+   * Las rutas locales (y file://) solo se leen con allowLocalFiles: los
+   * orígenes que llegan por red, como los adjuntos de un webhook, no deben
+   * poder leer archivos del servidor.
+   *
+   * @param {string|Buffer|Object} source - Origen del adjunto.
+   * @param {Object} [options={}]
+   * @param {string} [options.token] - Token para descargas autenticadas.
+   * @param {boolean} [options.allowLocalFiles=false] - Permite leer rutas locales.
+   * @returns {Promise<{buffer: Buffer, mimeType: string, filename: string}>}
+   * @throws {Error} Con el motivo por el que el adjunto no se puede enviar.
+   */
+  async load(source, options = {}) {
+    let file;
+    if (Buffer.isBuffer(source)) {
+      file = { buffer: source, mimeType: null, filename: null };
+    } else if (typeof source === "string" && source.startsWith("data:")) {
+      file = MediaLoader._fromDataURI(source);
+    } else if (MediaLoader.isRemoteURL(source)) {
+      file = await this._fromURL(source, options.token);
+    } else if (typeof source === "string") {
+      if (!options.allowLocalFiles) {
+        throw new Error("no se permiten archivos locales");
+      }
+      file = await this._fromPath(source);
+    } else if (source && typeof source === "object") {
+      file = await this._fromObject(source, options.token);
+    } else {
+      throw new Error("origen de adjunto no soportado");
+    }
+
+    if (file.buffer.length === 0) {
+      throw new Error("el archivo está vacío");
+    }
+    if (file.buffer.length > this.maxSize) {
+      throw new Error(`supera el tamaño máximo de ${this.maxSize} bytes`);
+    }
+
+    let mimeType = MediaLoader.baseType(file.mimeType);
+    if (GENERIC_TYPES.includes(mimeType)) {
+      mimeType =
+        MediaLoader.sniff(file.buffer) ||
+        (file.filename && mime.getType(file.filename)) ||
+        "application/octet-stream";
+    }
+    if (!this.isAllowed(mimeType)) {
+      throw new Error(`tipo ${mimeType} no permitido`);
+    }
+
+    let filename = file.filename;
+    if (!filename) {
+      const extension = mime.getExtension(mimeType) || "bin";
+      filename = `Documento.${extension}`;
+    } else if (!path.extname(filename) && mime.getExtension(mimeType)) {
+      filename = `${filename}.${mime.getExtension(mimeType)}`;
+    }
+
+    return { buffer: file.buffer, mimeType, filename };
+  }
+}
+
+module.exports = MediaLoader;
@@ -0,0 +1,63 @@
+// Almacén en memoria con TTL y tamaño máximo (desaloja el menos usado)
+class MemoryStore {
+  /**
+   * @param {Object} [_options={}] - Opciones del almacén.
+   * @param {number} [_options.maxSize=1000] - Número máximo de entradas.
+   */
+  constructor(_options = {}) {
+    this.maxSize = _options.maxSize ?? 1000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Obtiene un valor si existe y no ha caducado.
+   * @param {string} key - Clave a consultar.
+   * @returns {Promise<*>} El valor o undefined.
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Reinsertar para mantener el orden de uso reciente.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Guarda un valor.
+   * @param {string} key - Clave a guardar.
+   * @param {*} value - Valor a guardar.
+   * @param {number} [ttl=0] - Tiempo de vida en milisegundos (0 = sin caducidad).
+   */
+  async set(key, value, ttl = 0) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : 0,
+    });
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Elimina un valor.
+   * @param {string} key - Clave a eliminar.
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Elimina todos los valores.
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = MemoryStore;
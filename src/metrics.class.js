@@ -0,0 +1,202 @@
+// Métricas que expone el adaptador en formato de texto de Prometheus.
+const DEFINITIONS = {
+  chatwoot_messages_synced_total: {
+    type: "counter",
+    help: "Mensajes sincronizados por dirección y tipo.",
+  },
+  chatwoot_messages_failed_total: {
+    type: "counter",
+    help: "Intentos de sincronización fallidos por dirección.",
+  },
+  chatwoot_api_request_duration_seconds: {
+    type: "histogram",
+    help: "Duración de las peticiones a la API de Chatwoot.",
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  },
+  chatwoot_api_errors_total: {
+    type: "counter",
+    help: "Errores de la API de Chatwoot por endpoint y estado.",
+  },
+  chatwoot_queue_depth: {
+    type: "gauge",
+    help: "Tareas pendientes en las colas.",
+  },
+  chatwoot_outbox_items: {
+    type: "gauge",
+    help: "Mensajes en el outbox por estado.",
+  },
+};
+
+/**
+ * Escapa el valor de una etiqueta.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+
+/**
+ * Serializa un conjunto de etiquetas: {a: 1} -> {a="1"}.
+ * @param {Object} labels
+ * @returns {string}
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+};
+
+// Registro de métricas de un dashboard. Las etiquetas fijas (cuenta y
+// bandeja) distinguen los dashboards que comparten el endpoint /metrics.
+class Metrics {
+  static DEFINITIONS = DEFINITIONS;
+
+  /**
+   * @param {Object} [_options={}] - Opciones del registro.
+   * @param {Object} [_options.labels] - Etiquetas añadidas a todas las series.
+   */
+  constructor(_options = {}) {
+    this.labels = _options.labels || {};
+    this.series = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Normaliza un endpoint para usarlo como etiqueta: sin query y con los IDs
+   * sustituidos por ":id", para no crear una serie por contacto.
+   * @param {string} endpoint
+   * @returns {string}
+   */
+  static endpointLabel(endpoint) {
+    return String(endpoint || "")
+      .split("?")[0]
+      .replace(/\/\d+(?=\/|$)/g, "/:id");
+  }
+
+  /**
+   * Serie de una métrica, creándola si no existe.
+   * @param {string} name - Nombre de la métrica.
+   * @param {Object} labels - Etiquetas de la serie.
+   * @returns {Object}
+   */
+  _series(name, labels) {
+    const all = { ...this.labels, ...labels };
+    const key = `${name}${formatLabels(all)}`;
+    let series = this.series.get(key);
+    if (!series) {
+      const { buckets } = DEFINITIONS[name];
+      series = buckets
+        ? { name, labels: all, buckets: buckets.map(() => 0), sum: 0 }
+        : { name, labels: all, value: 0 };
+      if (buckets) series.count = 0;
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Cambia etiquetas fijas, también en las series ya registradas.
+   * @param {Object} labels - Etiquetas a cambiar.
+   */
+  setLabels(labels) {
+    Object.assign(this.labels, labels);
+    const series = [...this.series.values()];
+    this.series.clear();
+    for (const entry of series) {
+      entry.labels = { ...entry.labels, ...labels };
+      this.series.set(`${entry.name}${formatLabels(entry.labels)}`, entry);
+    }
+  }
+
+  /**
+   * Incrementa un contador.
+   * @param {string} name - Nombre de la métrica.
+   * @param {Object} [labels={}] - Etiquetas.
+   * @param {number} [value=1] - Incremento.
+   */
+  inc(name, labels = {}, value = 1) {
+    this._series(name, labels).value += value;
+  }
+
+  /**
+   * Registra una observación en un histograma.
+   * @param {string} name - Nombre de la métrica.
+   * @param {Object} labels - Etiquetas.
+   * @param {number} value - Valor observado (segundos).
+   */
+  observe(name, labels, value) {
+    const series = this._series(name, labels);
+    DEFINITIONS[name].buckets.forEach((bound, index) => {
+      if (value <= bound) series.buckets[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Añade una función que devuelve valores de gauges en el momento de
+   * exponer las métricas: [{ name, labels, value }].
+   * @param {Function} collector
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Series actuales, incluidas las de los colectores.
+   * @returns {Object[]}
+   */
+  snapshot() {
+    const gauges = this.collectors.flatMap((collect) =>
+      collect().map(({ name, labels, value }) => ({
+        name,
+        labels: { ...this.labels, ...labels },
+        value,
+      }))
+    );
+    return [...this.series.values(), ...gauges];
+  }
+
+  /**
+   * Texto en formato de Prometheus de uno o varios registros, con HELP y
+   * TYPE una sola vez por métrica.
+   * @param {Metrics[]} registries
+   * @returns {string}
+   */
+  static render(registries) {
+    const byName = new Map();
+    for (const series of registries.flatMap((r) => r.snapshot())) {
+      if (!byName.has(series.name)) byName.set(series.name, []);
+      byName.get(series.name).push(series);
+    }
+
+    const lines = [];
+    for (const [name, seriesList] of byName) {
+      const { type, help, buckets } = DEFINITIONS[name];
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const series of seriesList) {
+        if (type !== "histogram") {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+        buckets.forEach((bound, index) => {
+          const labels = formatLabels({ ...series.labels, le: bound });
+          lines.push(`${name}_bucket${labels} ${series.buckets[index]}`);
+        });
+        const inf = formatLabels({ ...series.labels, le: "+Inf" });
+        const labels = formatLabels(series.labels);
+        lines.push(
+          `${name}_bucket${inf} ${series.count}`,
+          `${name}_sum${labels} ${series.sum}`,
+          `${name}_count${labels} ${series.count}`
+        );
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+module.exports = Metrics;
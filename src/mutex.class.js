@@ -0,0 +1,44 @@
+// Exclusión mutua por clave basada en promesas: las tareas con la misma
+// clave se ejecutan una detrás de otra y las de claves distintas en paralelo.
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Ejecuta una función con el bloqueo de la clave adquirido.
+   *
+   * @param {string} key - Clave a bloquear.
+   * @param {Function} fn - Función asíncrona a ejecutar.
+   * @returns {Promise<*>} El resultado de la función.
+   */
+  async run(key, fn) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((r) => (release = r));
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Indica si la clave está bloqueada.
+   *
+   * @param {string} key - Clave a consultar.
+   * @returns {boolean}
+   */
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+}
+
+module.exports = KeyedMutex;
@@ -0,0 +1,72 @@
+const meta = require("./normalizers/meta");
+const baileys = require("./normalizers/baileys");
+const venom = require("./normalizers/venom");
+const twilio = require("./normalizers/twilio");
+const generic = require("./normalizers/generic");
+
+const ADAPTERS = { meta, baileys, venom, wppconnect: venom, twilio, generic };
+
+// Convierte los mensajes entrantes de cualquier provider de @bot-whatsapp en
+// una forma común (ver normalizers/common.js).
+class MessageNormalizer {
+  /**
+   * @param {Object} provider - Instancia del provider (bot.providerClass).
+   * @param {string} [providerName] - Fuerza el adaptador: meta, baileys, venom, wppconnect, twilio o generic.
+   */
+  constructor(provider, providerName = null) {
+    this.provider = provider;
+    this.providerName = providerName || MessageNormalizer.detect(provider);
+  }
+
+  /**
+   * Detecta el provider por el nombre de su clase.
+   *
+   * @param {Object} provider - Instancia del provider.
+   * @returns {string}
+   */
+  static detect(provider) {
+    const className = (provider?.constructor?.name || "").toLowerCase();
+    const name = Object.keys(ADAPTERS).find((key) => className.includes(key));
+    return name || "generic";
+  }
+
+  /**
+   * Normaliza un mensaje entrante.
+   *
+   * @param {Object} data - Payload del evento "message" del provider.
+   * @returns {Object} Mensaje normalizado.
+   */
+  normalize(data) {
+    const adapter = ADAPTERS[this.providerName] || generic;
+    return adapter.normalize(data, this.provider);
+  }
+
+  /**
+   * Obtiene un origen válido para MediaLoader a partir de la media de un
+   * mensaje normalizado. Si fetch se perdió (mensaje recuperado del outbox
+   * tras un reinicio) se reconstruye a partir de la URL cuando es posible.
+   *
+   * @param {Object} media - Media del mensaje normalizado.
+   * @param {string} provider - Provider que generó el mensaje.
+   * @returns {Promise<Object|null>}
+   */
+  async resolveMedia(media, provider) {
+    if (typeof media.fetch === "function") {
+      return media.fetch();
+    }
+    const adapter = ADAPTERS[provider];
+    if (adapter?.fetchMedia && media.url) {
+      return adapter.fetchMedia(media, this.provider);
+    }
+    if (media.url) {
+      return {
+        url: media.url,
+        mimetype: media.mimeType,
+        filename: media.filename,
+      };
+    }
+    return null;
+  }
+}
+
+module.exports = MessageNormalizer;
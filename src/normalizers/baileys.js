@@ -0,0 +1,119 @@
+const fs = require("fs");
+const { isEvent, cleanNumber, createMessage } = require("./common");
+
+// Normalizador para @bot-whatsapp/provider/baileys. El payload incluye el
+// WAMessage original (key, message, pushName).
+
+const MEDIA_TYPES = [
+  "imageMessage",
+  "videoMessage",
+  "audioMessage",
+  "documentMessage",
+  "documentWithCaptionMessage",
+  "stickerMessage",
+];
+
+/**
+ * Devuelve el primer submensaje con contextInfo, que es donde Baileys guarda
+ * la referencia al mensaje citado.
+ *
+ * @param {Object} content - Campo message del WAMessage.
+ * @returns {Object|null}
+ */
+const findContextInfo = (content) => {
+  for (const value of Object.values(content || {})) {
+    if (value && typeof value === "object" && value.contextInfo) {
+      return value.contextInfo;
+    }
+  }
+  return null;
+};
+
+/**
+ * Descarga el adjunto con saveFile del provider, que usa el socket activo
+ * para descifrarlo, y devuelve su contenido. El archivo temporal se elimina
+ * después de leerlo.
+ *
+ * @param {Object} provider - Instancia del provider.
+ * @param {Object} data - Payload original con el WAMessage.
+ * @returns {Promise<Object>}
+ */
+const loadSavedFile = async (provider, data) => {
+  const filePath = await provider.saveFile(data);
+  try {
+    return { buffer: await fs.promises.readFile(filePath) };
+  } finally {
+    await fs.promises.rm(filePath, { force: true }).catch(() => {});
+  }
+};
+
+/**
+ * @param {Object} data - Payload del evento "message" del provider.
+ * @param {Object} provider - Instancia del provider.
+ * @returns {Object} Mensaje normalizado.
+ */
+const normalize = (data, provider) => {
+  const content = data.message || {};
+  const body = data.body || "";
+  const message = createMessage("baileys", {
+    id: data.key?.id || null,
+    from: cleanNumber(data.from || data.key?.remoteJid),
+    name: data.pushName || null,
+    text:
+      content.conversation ||
+      content.extendedTextMessage?.text ||
+      (isEvent(body) ? null : body) ||
+      null,
+    replyTo: findContextInfo(content)?.stanzaId || null,
+  });
+
+  const mediaKey = MEDIA_TYPES.find((key) => content[key]);
+
+  if (content.reactionMessage) {
+    message.type = "reaction";
+    message.reaction = {
+      emoji: content.reactionMessage.text || "",
+      messageId: content.reactionMessage.key?.id || null,
+    };
+  } else if (content.locationMessage || content.liveLocationMessage) {
+    const location = content.locationMessage || content.liveLocationMessage;
+    message.type = "location";
+    message.location = {
+      latitude: location.degreesLatitude,
+      longitude: location.degreesLongitude,
+      name: location.name || null,
+      address: location.address || null,
+    };
+  } else if (content.contactMessage || content.contactsArrayMessage) {
+    const contacts = content.contactsArrayMessage?.contacts || [
+      content.contactMessage,
+    ];
+    message.type = "contact";
+    message.contacts = contacts.map((contact) => ({
+      name: contact.displayName || null,
+      phones: [],
+      vcard: contact.vcard || null,
+    }));
+  } else if (mediaKey) {
+    const media =
+      content[mediaKey].message?.documentMessage || content[mediaKey];
+    message.type = "media";
+    message.text = media.caption || null;
+    message.media = {
+      url: null,
+      mimeType: media.mimetype || null,
+      filename: media.fileName || null,
+    };
+    if (typeof provider?.saveFile === "function") {
+      message.media.fetch = async () => ({
+        ...(await loadSavedFile(provider, data)),
+        mimetype: message.media.mimeType,
+        filename: message.media.filename,
+      });
+    }
+  }
+
+  return message;
+};
+
+module.exports = { normalize };
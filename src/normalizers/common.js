@@ -0,0 +1,62 @@
+// Utilidades compartidas por los normalizadores de mensajes entrantes.
+
+/**
+ * Indica si el body es una referencia de evento de @bot-whatsapp
+ * (por ejemplo "_event_media__<uuid>"). Sin nombre acepta cualquier evento.
+ *
+ * @param {string} body - Body del mensaje.
+ * @param {string} [name] - Nombre del evento: media, document, voice_note, location...
+ * @returns {boolean}
+ */
+const isEvent = (body, name) => {
+  if (typeof body !== "string") return false;
+  return name ? body.includes(`_event_${name}_`) : body.includes("_event_");
+};
+
+/**
+ * Limpia el identificador del remitente: quita "whatsapp:", el sufijo
+ * "@c.us"/"@s.whatsapp.net" y el prefijo "+".
+ *
+ * @param {string} value - Remitente tal como lo entrega el provider.
+ * @returns {string|null}
+ */
+const cleanNumber = (value) => {
+  if (!value) return null;
+  return String(value)
+    .replace(/^whatsapp:/, "")
+    .replace(/[:@].*$/, "")
+    .replace(/^\+/, "");
+};
+
+/**
+ * Crea un mensaje con la forma común y los campos por defecto.
+ *
+ * Forma común:
+ * - provider, id, from, name, type ("text", "media", "location", "contact",
+ *   "reaction" o "unknown"), text, replyTo
+ * - media: { mimeType, filename, url, fetch() } donde fetch devuelve un origen
+ *   válido para MediaLoader. fetch solo existe en memoria: no se persiste.
+ * - location: { latitude, longitude, name, address }
+ * - contacts: [{ name, phones, vcard }]
+ * - reaction: { emoji, messageId }
+ *
+ * @param {string} provider - Nombre del provider.
+ * @param {Object} fields - Campos del mensaje.
+ * @returns {Object}
+ */
+const createMessage = (provider, fields) => ({
+  provider,
+  id: null,
+  from: null,
+  name: null,
+  type: "text",
+  text: null,
+  media: null,
+  location: null,
+  contacts: null,
+  reaction: null,
+  replyTo: null,
+  ...fields,
+});
+
+module.exports = { isEvent, cleanNumber, createMessage };
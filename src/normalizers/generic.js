@@ -0,0 +1,41 @@
+const { isEvent, cleanNumber, createMessage } = require("./common");
+
+// Normalizador por defecto para providers sin adaptador propio. Entiende el
+// formato básico de @bot-whatsapp: from, body, caption, pushName y url.
+
+/**
+ * @param {Object} data - Payload del evento "message" del provider.
+ * @returns {Object} Mensaje normalizado.
+ */
+const normalize = (data) => {
+  const body = data.body || "";
+  const message = createMessage("generic", {
+    id: data.id || data.message_id || null,
+    from: cleanNumber(data.from),
+    name: data.pushName || data.name || null,
+    text: isEvent(body) ? data.caption || null : body || null,
+  });
+
+  if (isEvent(body, "location") && data.latitude !== undefined) {
+    message.type = "location";
+    message.location = {
+      latitude: data.latitude,
+      longitude: data.longitude,
+      name: null,
+      address: null,
+    };
+  } else if (isEvent(body) && data.url) {
+    message.type = "media";
+    message.media = {
+      url: data.url,
+      mimeType: data.mimetype || null,
+      filename: data.filename || null,
+    };
+  } else if (isEvent(body) && !message.text) {
+    message.type = "unknown";
+  }
+
+  return message;
+};
+
+module.exports = { normalize };
@@ -0,0 +1,68 @@
+const { isEvent, cleanNumber, createMessage } = require("./common");
+
+// Normalizador para @bot-whatsapp/provider/meta (WhatsApp Cloud API).
+
+/**
+ * Origen descargable de un adjunto de Meta: la URL exige el token del provider.
+ *
+ * @param {Object} media - Media normalizada.
+ * @param {Object} provider - Instancia del provider.
+ * @returns {Object}
+ */
+const fetchMedia = (media, provider) => ({
+  url: media.url,
+  token: provider?.jwtToken,
+  mimetype: media.mimeType,
+  filename: media.filename,
+});
+
+/**
+ * @param {Object} data - Payload del evento "message" del provider.
+ * @param {Object} provider - Instancia del provider.
+ * @returns {Object} Mensaje normalizado.
+ */
+const normalize = (data, provider) => {
+  const body = data.body || "";
+  const message = createMessage("meta", {
+    id: data.message_id || data.id || null,
+    from: cleanNumber(data.from),
+    name: data.pushName || data.name || null,
+    text: isEvent(body) ? data.caption || null : body,
+    replyTo: data.context?.id || null,
+  });
+
+  if (data.reaction) {
+    message.type = "reaction";
+    message.reaction = {
+      emoji: data.reaction.emoji || "",
+      messageId: data.reaction.message_id || null,
+    };
+  } else if (isEvent(body, "location") || data.latitude !== undefined) {
+    message.type = "location";
+    message.location = {
+      latitude: data.latitude ?? data.location?.latitude,
+      longitude: data.longitude ?? data.location?.longitude,
+      name: data.location?.name || null,
+      address: data.location?.address || null,
+    };
+  } else if (Array.isArray(data.contacts) && data.contacts.length) {
+    message.type = "contact";
+    message.contacts = data.contacts.map((contact) => ({
+      name: contact.name?.formatted_name || null,
+      phones: (contact.phones || []).map((p) => p.phone || p.wa_id),
+      vcard: null,
+    }));
+  } else if (data.url && isEvent(body)) {
+    message.type = "media";
+    message.media = {
+      url: data.url,
+      mimeType: data.mimetype || data.mime_type || null,
+      filename: data.filename || null,
+    };
+    message.media.fetch = () => fetchMedia(message.media, provider);
+  }
+
+  return message;
+};
+
+module.exports = { normalize, fetchMedia };
@@ -0,0 +1,54 @@
+const { isEvent, cleanNumber, createMessage } = require("./common");
+
+// Normalizador para @bot-whatsapp/provider/twilio. El payload conserva los
+// campos del webhook de Twilio (MessageSid, NumMedia, MediaUrl0...).
+
+/**
+ * Origen descargable de un adjunto de Twilio.
+ *
+ * @param {Object} media - Media normalizada.
+ * @returns {Object}
+ */
+const fetchMedia = (media) => ({
+  url: media.url,
+  mimetype: media.mimeType,
+  filename: media.filename,
+});
+
+/**
+ * @param {Object} data - Payload del evento "message" del provider.
+ * @returns {Object} Mensaje normalizado.
+ */
+const normalize = (data) => {
+  const body = data.body ?? data.Body ?? "";
+  const message = createMessage("twilio", {
+    id: data.MessageSid || data.SmsMessageSid || null,
+    from: cleanNumber(data.from || data.From),
+    name: data.name || data.ProfileName || null,
+    text: isEvent(body) ? null : body || null,
+    replyTo: data.OriginalRepliedMessageSid || null,
+  });
+
+  if (data.Latitude !== undefined && data.Longitude !== undefined) {
+    message.type = "location";
+    message.location = {
+      latitude: Number(data.Latitude),
+      longitude: Number(data.Longitude),
+      name: data.Label || null,
+      address: data.Address || null,
+    };
+  } else if (Number(data.NumMedia) > 0 && data.MediaUrl0) {
+    message.type = "media";
+    message.text = data.Body || null;
+    message.media = {
+      url: data.MediaUrl0,
+      mimeType: data.MediaContentType0 || null,
+      filename: null,
+    };
+    message.media.fetch = () => fetchMedia(message.media);
+  }
+
+  return message;
+};
+
+module.exports = { normalize, fetchMedia };
@@ -0,0 +1,70 @@
+const { isEvent, cleanNumber, createMessage } = require("./common");
+
+// Normalizador para @bot-whatsapp/provider/venom (y wppconnect, que comparte
+// el formato de mensajes de WA-JS).
+
+const MEDIA_TYPES = ["image", "video", "audio", "ptt", "document", "sticker"];
+
+/**
+ * @param {Object} data - Payload del evento "message" del provider.
+ * @param {Object} provider - Instancia del provider.
+ * @returns {Object} Mensaje normalizado.
+ */
+const normalize = (data, provider) => {
+  const body = data.body || "";
+  const message = createMessage("venom", {
+    id: data.id?._serialized || data.id || null,
+    from: cleanNumber(data.from),
+    name: data.notifyName || data.sender?.pushname || data.pushName || null,
+    text: data.type === "chat" && !isEvent(body) ? body : null,
+    replyTo: data.quotedMsgId || data.quotedStanzaID || null,
+  });
+
+  if (data.type === "reaction") {
+    message.type = "reaction";
+    message.reaction = {
+      emoji: data.reactionText || body || "",
+      messageId: data.msgId?._serialized || data.msgId || null,
+    };
+  } else if (data.type === "location") {
+    message.type = "location";
+    message.location = {
+      latitude: data.lat,
+      longitude: data.lng,
+      name: data.loc || null,
+      address: null,
+    };
+  } else if (data.type === "vcard" || data.type === "multi_vcard") {
+    const vcards = data.vcardList || [
+      { displayName: data.vcardFormattedName, vcard: body },
+    ];
+    message.type = "contact";
+    message.contacts = vcards.map((contact) => ({
+      name: contact.displayName || null,
+      phones: [],
+      vcard: contact.vcard || null,
+    }));
+  } else if (MEDIA_TYPES.includes(data.type)) {
+    message.type = "media";
+    message.text = data.caption || null;
+    message.media = {
+      url: null,
+      mimeType: data.mimetype || null,
+      filename: data.filename || null,
+    };
+    // decryptFile descarga el archivo con la sesión activa del cliente.
+    if (typeof provider?.vendor?.decryptFile === "function") {
+      message.media.fetch = async () => ({
+        buffer: await provider.vendor.decryptFile(data),
+        mimetype: message.media.mimeType,
+        filename: message.media.filename,
+      });
+    }
+  } else if (!message.text && body && !isEvent(body)) {
+    message.text = body;
+  }
+
+  return message;
+};
+
+module.exports = { normalize };
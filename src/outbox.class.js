@@ -0,0 +1,185 @@
+const { randomUUID } = require("crypto");
+const JsonLinesStore = require("./jsonl-store.class");
+
+// Outbox persistente: cada mensaje a sincronizar con Chatwoot se guarda antes
+// de enviarse y solo se elimina cuando Chatwoot lo confirma.
+class Outbox {
+  /**
+   * @param {Object} [_options={}] - Opciones del outbox.
+   * @param {Object} [_options.store] - Adaptador de almacenamiento (load, save, remove).
+   * @param {string} [_options.path] - Ruta del archivo del almacén por defecto.
+   * @param {Object} [_options.logger] - Registro de eventos del almacén por defecto.
+   * @param {number} [_options.maxAttempts=10] - Intentos antes de pasar a dead letter.
+   * @param {number} [_options.replayInterval=30000] - Cada cuánto reintentar los pendientes, en milisegundos.
+   */
+  constructor(_options = {}) {
+    this.store =
+      _options.store ||
+      new JsonLinesStore({ path: _options.path, logger: _options.logger });
+    this.maxAttempts = _options.maxAttempts ?? 10;
+    this.replayInterval = _options.replayInterval ?? 30000;
+    this.items = new Map();
+  }
+
+  /**
+   * Carga los elementos persistidos.
+   */
+  async load() {
+    const items = await this.store.load();
+    this.items.clear();
+    for (const item of items) {
+      this.items.set(item.id, item);
+    }
+  }
+
+  /**
+   * Registra un mensaje pendiente de sincronizar.
+   * @param {string} key - Clave de orden (número de teléfono).
+   * @param {string} type - Tipo de sincronización ("incoming", "outgoing" o
+   *   "update" para etiquetas y atributos).
+   * @param {Object} payload - Datos del mensaje. Las funciones que contenga
+   *   (como media.fetch) solo se conservan en memoria, no en el almacén.
+   * @returns {Promise<Object>} El elemento creado.
+   */
+  async add(key, type, payload) {
+    const item = {
+      id: randomUUID(),
+      key,
+      type,
+      payload,
+      status: "pending",
+      attempts: 0,
+      lastError: null,
+      createdAt: Date.now(),
+    };
+    this.items.set(item.id, item);
+    await this.store.save(item);
+    return item;
+  }
+
+  /**
+   * Elementos pendientes de una clave, en orden de creación.
+   * @param {string} key - Clave de orden.
+   * @returns {Object[]}
+   */
+  pending(key) {
+    return [...this.items.values()].filter(
+      (item) => item.key === key && item.status === "pending"
+    );
+  }
+
+  /**
+   * Claves con elementos pendientes.
+   * @returns {string[]}
+   */
+  pendingKeys() {
+    const keys = new Set();
+    for (const item of this.items.values()) {
+      if (item.status === "pending") keys.add(item.key);
+    }
+    return [...keys];
+  }
+
+  /**
+   * Marca un elemento como sincronizado y lo elimina.
+   * @param {string} id - ID del elemento.
+   */
+  async complete(id) {
+    this.items.delete(id);
+    await this.store.remove(id);
+  }
+
+  /**
+   * Indica si un error no se va a resolver reintentando (4xx salvo 408 y 429).
+   * @param {Error} error - Error de la sincronización.
+   * @returns {boolean}
+   */
+  static isPermanent(error) {
+    const status = error?.status;
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+  }
+
+  /**
+   * Registra un intento fallido. Tras maxAttempts o ante un error permanente
+   * el elemento pasa a dead letter y deja de bloquear a los siguientes.
+   * @param {string} id - ID del elemento.
+   * @param {Error} error - Error de la sincronización.
+   * @returns {Promise<boolean>} true si el elemento pasó a dead letter.
+   */
+  async fail(id, error) {
+    const item = this.items.get(id);
+    if (!item) return false;
+    item.attempts++;
+    item.lastError = error?.message || String(error);
+    if (item.attempts >= this.maxAttempts || Outbox.isPermanent(error)) {
+      item.status = "dead";
+    }
+    await this.store.save(item);
+    return item.status === "dead";
+  }
+
+  /**
+   * Espera a que el almacén termine de escribir, si lo admite.
+   */
+  async close() {
+    if (typeof this.store.close === "function") {
+      await this.store.close();
+    }
+  }
+
+  /**
+   * Cantidad de elementos pendientes y en dead letter.
+   * @returns {{pending: number, dead: number}}
+   */
+  stats() {
+    let pending = 0;
+    let dead = 0;
+    for (const item of this.items.values()) {
+      if (item.status === "dead") dead++;
+      else pending++;
+    }
+    return { pending, dead };
+  }
+
+  /**
+   * Lista los elementos en dead letter.
+   * @returns {Object[]}
+   */
+  deadLetters() {
+    return [...this.items.values()].filter((item) => item.status === "dead");
+  }
+
+  /**
+   * Elimina elementos en dead letter.
+   * @param {string[]} [ids] - IDs a eliminar; sin IDs se eliminan todos.
+   * @returns {Promise<number>} Cantidad eliminada.
+   */
+  async purgeDeadLetters(ids) {
+    const targets = this.deadLetters().filter(
+      (item) => !ids || ids.includes(item.id)
+    );
+    for (const item of targets) {
+      await this.complete(item.id);
+    }
+    return targets.length;
+  }
+
+  /**
+   * Devuelve elementos en dead letter a la cola de pendientes.
+   * @param {string[]} [ids] - IDs a reintentar; sin IDs se reintentan todos.
+   * @returns {Promise<string[]>} Claves afectadas.
+   */
+  async retryDeadLetters(ids) {
+    const targets = this.deadLetters().filter(
+      (item) => !ids || ids.includes(item.id)
+    );
+    for (const item of targets) {
+      item.status = "pending";
+      item.attempts = 0;
+      await this.store.save(item);
+    }
+    return [...new Set(targets.map((item) => item.key))];
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,247 @@
+const IdempotencyTracker = require("./idempotency.class");
+const Logger = require("./logger.class");
+
+// Atributos del contacto que mantiene el adaptador.
+const ATTRIBUTES = {
+  whatsapp_name: {
+    name: "Nombre en WhatsApp",
+    description: "Último nombre de perfil (pushName) recibido de WhatsApp",
+  },
+  whatsapp_provider: {
+    name: "Provider de WhatsApp",
+    description: "Provider de @bot-whatsapp por el que escribe el contacto",
+  },
+  whatsapp_bot_number: {
+    name: "Número del bot",
+    description: "Número de WhatsApp del bot que atiende al contacto",
+  },
+};
+
+/**
+ * Solo los dígitos de un teléfono o identificador.
+ * @param {string} value
+ * @returns {string}
+ */
+const digits = (value) => String(value ?? "").replace(/\D/g, "");
+
+// Mantiene el perfil de los contactos de Chatwoot al día con su identidad en
+// WhatsApp: nombre (sin pisar el que haya escrito un agente), foto de perfil,
+// provider y número del bot. También fusiona los contactos duplicados de un
+// mismo número.
+class ProfileSync {
+  static ATTRIBUTES = ATTRIBUTES;
+
+  /**
+   * @param {Object} chatwoot - Instancia de ChatwootClient.
+   * @param {Object} provider - Instancia del provider (bot.providerClass).
+   * @param {string} providerName - Provider detectado: meta, baileys, venom...
+   * @param {Object} [_options={}] - Opciones de la sincronización.
+   * @param {boolean} [_options.name=true] - Actualiza el nombre con el pushName.
+   * @param {boolean} [_options.avatar=true] - Usa la foto de perfil como avatar.
+   * @param {boolean} [_options.merge=true] - Fusiona los contactos duplicados.
+   * @param {Function} [_options.avatarURL] - Función asíncrona (phone) que devuelve la URL de la foto, para providers sin soporte.
+   * @param {string} [_options.botNumber] - Número del bot; por defecto se detecta del provider cuando es posible.
+   * @param {number} [_options.refreshInterval=86400000] - Milisegundos entre sincronizaciones de un mismo número si su nombre no cambia.
+   * @param {Logger} [logger] - Registro de eventos.
+   */
+  constructor(chatwoot, provider, providerName, _options = {}, logger = null) {
+    this.chatwoot = chatwoot;
+    this.provider = provider;
+    this.providerName = providerName;
+    this.syncName = _options.name ?? true;
+    this.syncAvatar = _options.avatar ?? true;
+    this.merge = _options.merge ?? true;
+    this.avatarURL = _options.avatarURL || null;
+    this.botNumber = _options.botNumber || null;
+    this.recent = new IdempotencyTracker({
+      ttl: _options.refreshInterval ?? 24 * 60 * 60 * 1000,
+    });
+    this.logger = Logger.from(logger);
+  }
+
+  /**
+   * Número del bot según el provider: Baileys lo expone en vendor.user.id
+   * ("573001234567:12@s.whatsapp.net").
+   *
+   * @param {Object} provider - Instancia del provider.
+   * @returns {string|null}
+   */
+  static detectBotNumber(provider) {
+    const id = provider?.vendor?.user?.id;
+    return id ? digits(id.split(/[:@]/)[0]) || null : null;
+  }
+
+  /**
+   * URL de la foto de perfil de un número, si el provider la expone.
+   *
+   * @param {string} phone - Número sin "+".
+   * @returns {Promise<string|null>}
+   */
+  async fetchAvatarURL(phone) {
+    if (this.avatarURL) return (await this.avatarURL(phone)) || null;
+    const vendor = this.provider?.vendor;
+    if (typeof vendor?.profilePictureUrl === "function") {
+      return vendor.profilePictureUrl(`${phone}@s.whatsapp.net`, "image");
+    }
+    if (typeof vendor?.getProfilePicFromServer === "function") {
+      // venom devuelve la URL; wppconnect, un objeto con eurl.
+      const picture = await vendor.getProfilePicFromServer(`${phone}@c.us`);
+      return typeof picture === "string" ? picture : picture?.eurl || null;
+    }
+    return null;
+  }
+
+  /**
+   * Crea las definiciones de los atributos que aún no existen, para que los
+   * agentes los vean en la ficha del contacto.
+   */
+  async ensureDefinitions() {
+    const definitions = await this.chatwoot.getAttributeDefinitions();
+    const existing = new Set(
+      definitions.map((definition) => definition.attribute_key)
+    );
+    for (const [key, { name, description }] of Object.entries(ATTRIBUTES)) {
+      if (existing.has(key)) continue;
+      await this.chatwoot._request(`/custom_attribute_definitions`, {
+        method: "POST",
+        data: {
+          attribute_display_name: name,
+          attribute_display_type: 0, // Texto.
+          attribute_description: description,
+          attribute_key: key,
+          attribute_model: 1, // Contacto.
+        },
+      });
+    }
+  }
+
+  /**
+   * Fusiona los contactos cuyo teléfono normalizado coincide con el número.
+   * Se conserva el más antiguo, preferentemente uno con el teléfono en
+   * formato internacional.
+   *
+   * @param {string} phone - Número sin "+".
+   * @returns {Promise<number|null>} ID del contacto conservado.
+   */
+  async mergeDuplicates(phone) {
+    const number = digits(phone);
+    const matches = (await this.chatwoot.searchContacts(number)).filter(
+      (contact) =>
+        digits(contact.phone_number) === number ||
+        digits(contact.identifier) === number
+    );
+    if (matches.length === 0) return null;
+
+    const international = (contact) => contact.phone_number === `+${number}`;
+    matches.sort(
+      (a, b) => international(b) - international(a) || a.id - b.id
+    );
+    const [base, ...duplicates] = matches;
+    for (const duplicate of duplicates) {
+      await this.chatwoot.mergeContacts(base.id, duplicate.id);
+      this.logger.info("Contactos duplicados fusionados", {
+        phone: number,
+        contactID: base.id,
+        mergedID: duplicate.id,
+      });
+    }
+    if (duplicates.length) {
+      // El source_id y la conversación pueden ser del contacto eliminado.
+      await this.chatwoot.cache.update(number, {
+        contactID: base.id,
+        sourceID: undefined,
+        conversationID: undefined,
+      });
+    }
+    return base.id;
+  }
+
+  /**
+   * Sincroniza el perfil de un contacto. Se hace como mucho una vez por
+   * refreshInterval, salvo que cambie el nombre de WhatsApp.
+   *
+   * El nombre solo se cambia si el contacto no tiene nombre, si es su
+   * número o si sigue siendo el último que puso el adaptador; un nombre
+   * editado por un agente se respeta.
+   *
+   * @param {string} phone - Número sin "+".
+   * @param {string|null} [pushName] - Nombre de perfil en WhatsApp.
+   * @returns {Promise<boolean>} true si se actualizó el contacto.
+   */
+  async sync(phone, pushName = null) {
+    const number = digits(phone);
+    const key = `${number}:${pushName || ""}`;
+    if (!number || this.recent.check(key)) return false;
+    try {
+      return await this._sync(number, pushName);
+    } catch (error) {
+      // Se reintenta con el siguiente mensaje.
+      this.recent.consume(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Pasos de sync(); ver sync().
+   *
+   * @param {string} number - Número, solo dígitos.
+   * @param {string|null} pushName - Nombre de perfil en WhatsApp.
+   * @returns {Promise<boolean>}
+   */
+  async _sync(number, pushName) {
+    const contactID = this.merge
+      ? await this.mergeDuplicates(number)
+      : await this.chatwoot.getUserID(number);
+    if (!contactID) return false;
+    const contact = await this.chatwoot.getContact(contactID);
+    const attributes = contact.custom_attributes || {};
+
+    const update = {};
+    const custom = {};
+    if (this.syncName && pushName) {
+      const untouched =
+        !contact.name ||
+        digits(contact.name) === number ||
+        contact.name === attributes.whatsapp_name;
+      if (untouched && contact.name !== pushName) update.name = pushName;
+      if (attributes.whatsapp_name !== pushName) {
+        custom.whatsapp_name = pushName;
+      }
+    }
+    if (attributes.whatsapp_provider !== this.providerName) {
+      custom.whatsapp_provider = this.providerName;
+    }
+    const botNumber =
+      this.botNumber || ProfileSync.detectBotNumber(this.provider);
+    if (botNumber && attributes.whatsapp_bot_number !== botNumber) {
+      custom.whatsapp_bot_number = botNumber;
+    }
+    if (this.syncAvatar) {
+      try {
+        const avatarURL = await this.fetchAvatarURL(number);
+        if (avatarURL) update.avatar_url = avatarURL;
+      } catch (error) {
+        // Sin foto pública o sin permiso para verla.
+        this.logger.debug("No se pudo obtener la foto de perfil", {
+          phone: number,
+          error,
+        });
+      }
+    }
+    if (Object.keys(custom).length) update.custom_attributes = custom;
+    if (Object.keys(update).length === 0) return false;
+
+    await this.chatwoot.updateContact(contactID, update);
+    if (update.custom_attributes) {
+      const cached = await this.chatwoot.cache.get(number);
+      if (cached.attributes) {
+        await this.chatwoot.cache.update(number, {
+          attributes: { ...cached.attributes, ...custom },
+        });
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = ProfileSync;
@@ -0,0 +1,308 @@
+const ChatwootConfigError = require("./config-error.class");
+const Logger = require("./logger.class");
+
+// Eventos del webhook que necesita el adaptador.
+const WEBHOOK_SUBSCRIPTIONS = [
+  "conversation_created",
+  "conversation_status_changed",
+  "conversation_updated",
+  "contact_created",
+  "contact_updated",
+  "message_created",
+];
+
+// Valida la configuración al iniciar y crea en Chatwoot, de forma idempotente,
+// lo que el adaptador necesita: bandeja API, webhook y etiquetas.
+class Provisioner {
+  static WEBHOOK_SUBSCRIPTIONS = WEBHOOK_SUBSCRIPTIONS;
+
+  /**
+   * @param {Object} chatwoot - Instancia de ChatwootClient.
+   * @param {Object} [_options={}] - Opciones del dashboard.
+   * @param {Object} [_options.provision] - Qué crear si no existe:
+   *   inbox (true o { name }) crea una bandeja de tipo API cuando falta
+   *   CHATWOOT_INBOX_ID; webhookURL es la URL pública del webhook; labels
+   *   es la lista de etiquetas (título o { title, description, color }).
+   * @param {Logger} [logger] - Registro de eventos.
+   */
+  constructor(chatwoot, _options = {}, logger = null) {
+    this.chatwoot = chatwoot;
+    this.logger = Logger.from(logger);
+    this._options = _options;
+    this.provision = _options.provision || {};
+  }
+
+  /**
+   * Comprueba la configuración sin llamar a Chatwoot.
+   *
+   * @param {Object} options - Opciones del dashboard.
+   * @returns {string[]} Problemas encontrados; vacío si es válida.
+   */
+  static validateOptions(options = {}) {
+    const problems = [];
+    const url = options.CHATWOOT_URL;
+    if (!url) {
+      problems.push("falta CHATWOOT_URL");
+    } else if (!/^https?:\/\/[^/]+.*\/api\/v1\/accounts\/?$/.test(url)) {
+      problems.push(
+        `CHATWOOT_URL debe terminar en /api/v1/accounts (por ejemplo https://app.chatwoot.com/api/v1/accounts), se recibió "${url}"`
+      );
+    }
+    if (!/^\d+$/.test(String(options.CHATWOOT_ID ?? ""))) {
+      problems.push("CHATWOOT_ID debe ser el ID numérico de la cuenta");
+    }
+    const inboxID = String(options.CHATWOOT_INBOX_ID ?? "");
+    if (inboxID && !/^\d+$/.test(inboxID)) {
+      problems.push("CHATWOOT_INBOX_ID debe ser el ID numérico de la bandeja");
+    } else if (!inboxID && !options.provision?.inbox) {
+      problems.push(
+        "falta CHATWOOT_INBOX_ID (o provision.inbox para crear la bandeja)"
+      );
+    }
+    if (!options.CHATWOOT_API_ACCESS_TOKEN) {
+      problems.push("falta CHATWOOT_API_ACCESS_TOKEN");
+    }
+    const webhookURL = options.provision?.webhookURL;
+    if (webhookURL && !/^https?:\/\//.test(webhookURL)) {
+      problems.push("provision.webhookURL debe ser una URL http(s)");
+    }
+    return problems;
+  }
+
+  /**
+   * Traduce un error de la API a un problema de configuración legible.
+   *
+   * @param {Error} error - Error de la petición.
+   * @param {string} action - Qué se estaba comprobando.
+   * @returns {ChatwootConfigError}
+   */
+  static toConfigError(error, action) {
+    const status = error.status ?? error.response?.status;
+    let problem = `no se pudo ${action}: ${error.message}`;
+    if (status === 401) {
+      problem = `CHATWOOT_API_ACCESS_TOKEN inválido (401 al ${action})`;
+    } else if (status === 403) {
+      problem = `el token no tiene permisos para ${action} (403)`;
+    } else if (status === 404) {
+      problem = `no existe el recurso al ${action} (404); revise CHATWOOT_URL y los IDs`;
+    } else if (!status) {
+      problem = `no se pudo conectar con Chatwoot al ${action} (${error.message}); revise CHATWOOT_URL`;
+    }
+    return new ChatwootConfigError([problem], error);
+  }
+
+  /**
+   * Comprueba el token y que pertenezca a la cuenta configurada.
+   */
+  async checkAccount() {
+    let profile;
+    try {
+      profile = await this.chatwoot.getProfile();
+    } catch (error) {
+      throw Provisioner.toConfigError(error, "consultar el perfil");
+    }
+    const accounts = profile?.accounts || [];
+    const belongs = accounts.some(
+      (account) => String(account.id) === String(this.chatwoot.idChatwoot)
+    );
+    if (accounts.length && !belongs) {
+      throw new ChatwootConfigError([
+        `el token no tiene acceso a la cuenta ${this.chatwoot.idChatwoot} ` +
+          `(cuentas disponibles: ${accounts.map((a) => a.id).join(", ")})`,
+      ]);
+    }
+  }
+
+  /**
+   * Comprueba que la bandeja exista en la cuenta.
+   */
+  async checkInbox() {
+    let inbox;
+    try {
+      inbox = await this.chatwoot.getInbox();
+    } catch (error) {
+      if (error.status === 404) {
+        throw new ChatwootConfigError([
+          `la bandeja ${this.chatwoot.inboxID} no existe en la cuenta ${this.chatwoot.idChatwoot}`,
+        ]);
+      }
+      throw Provisioner.toConfigError(error, "consultar la bandeja");
+    }
+    if (inbox?.channel_type && inbox.channel_type !== "Channel::Api") {
+      this.logger.warn(
+        "La bandeja no es de tipo API; se recomienda una bandeja de tipo API",
+        { inboxID: this.chatwoot.inboxID, channelType: inbox.channel_type }
+      );
+    }
+  }
+
+  /**
+   * Busca la bandeja API por nombre y la crea si no existe. Actualiza el
+   * ID de bandeja del cliente y CHATWOOT_INBOX_ID en las opciones.
+   *
+   * @returns {Promise<number>} ID de la bandeja.
+   */
+  async ensureInbox() {
+    const name =
+      typeof this.provision.inbox === "object" && this.provision.inbox.name
+        ? this.provision.inbox.name
+        : "WhatsApp Bot";
+    const response = await this.chatwoot._request(`/inboxes`);
+    const existing = (response?.payload || []).find(
+      (inbox) => inbox.name === name && inbox.channel_type === "Channel::Api"
+    );
+    const inbox =
+      existing ||
+      (await this.chatwoot._request(`/inboxes`, {
+        method: "POST",
+        data: { name, channel: { type: "api", webhook_url: "" } },
+      }));
+    if (!existing) {
+      this.logger.info("Bandeja creada en Chatwoot", {
+        name,
+        inboxID: inbox.id,
+      });
+    }
+    this.chatwoot.setInbox(inbox.id);
+    // Quien construye nombres de archivo o etiquetas con las opciones ve el
+    // ID nuevo.
+    this._options.CHATWOOT_INBOX_ID = String(inbox.id);
+    return inbox.id;
+  }
+
+  /**
+   * URL del webhook con el token compartido, si está configurado.
+   * @returns {string}
+   */
+  webhookURL() {
+    const url = new URL(this.provision.webhookURL);
+    const token = this._options.CHATWOOT_WEBHOOK_TOKEN;
+    if (token && !url.searchParams.has("token")) {
+      url.searchParams.set("token", token);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Crea la suscripción del webhook o añade los eventos que le falten.
+   */
+  async ensureWebhook() {
+    const url = this.webhookURL();
+    const response = await this.chatwoot._request(`/webhooks`);
+    const webhooks = response?.payload?.webhooks || response?.payload || [];
+    const existing = webhooks.find((webhook) => webhook.url === url);
+
+    if (!existing) {
+      await this.chatwoot._request(`/webhooks`, {
+        method: "POST",
+        data: { webhook: { url, subscriptions: WEBHOOK_SUBSCRIPTIONS } },
+      });
+      this.logger.info("Webhook de Chatwoot creado");
+      return;
+    }
+
+    const subscriptions = existing.subscriptions || [];
+    const missing = WEBHOOK_SUBSCRIPTIONS.filter(
+      (event) => !subscriptions.includes(event)
+    );
+    if (missing.length) {
+      await this.chatwoot._request(`/webhooks/${existing.id}`, {
+        method: "PATCH",
+        data: {
+          webhook: { url, subscriptions: [...subscriptions, ...missing] },
+        },
+      });
+      this.logger.info("Webhook de Chatwoot actualizado", {
+        subscriptions: missing,
+      });
+    }
+  }
+
+  /**
+   * Normaliza una etiqueta: Chatwoot solo admite minúsculas, números,
+   * guiones y guiones bajos.
+   *
+   * @param {string|Object} label - Título o { title, description, color }.
+   * @returns {{title: string, description: string, color: string, show_on_sidebar: boolean}}
+   */
+  static normalizeLabel(label) {
+    const data = typeof label === "string" ? { title: label } : label;
+    return {
+      title: String(data.title)
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .replace(/[^a-z0-9_-]/g, ""),
+      description: data.description || "",
+      color: data.color || "#1f93ff",
+      show_on_sidebar: data.show_on_sidebar ?? true,
+    };
+  }
+
+  /**
+   * Crea las etiquetas que no existan.
+   *
+   * @param {Array<string|Object>} labels - Etiquetas a garantizar.
+   */
+  async ensureLabels(labels) {
+    if (!labels.length) return;
+    const response = await this.chatwoot._request(`/labels`);
+    const existing = new Set(
+      (response?.payload || []).map((label) => label.title)
+    );
+    for (const label of labels.map(Provisioner.normalizeLabel)) {
+      if (!label.title || existing.has(label.title)) continue;
+      await this.chatwoot._request(`/labels`, { method: "POST", data: label });
+      existing.add(label.title);
+      this.logger.info("Etiqueta creada en Chatwoot", { label: label.title });
+    }
+  }
+
+  /**
+   * Valida la configuración y la conexión, y crea lo que esté configurado en
+   * provision. Es seguro ejecutarlo en cada arranque. La validación contra
+   * Chatwoot y la creación de recursos se activan por separado.
+   *
+   * @param {Object} [options={}]
+   * @param {boolean} [options.validate=true] - false para no comprobar el token y la bandeja contra Chatwoot.
+   * @param {boolean} [options.provision=true] - false para no crear nada en Chatwoot.
+   * @param {Array<string|Object>} [options.labels=[]] - Etiquetas que se deben garantizar además de provision.labels.
+   * @throws {ChatwootConfigError}
+   */
+  async run(options = {}) {
+    const problems = Provisioner.validateOptions(this._options);
+    if (problems.length) throw new ChatwootConfigError(problems);
+    const validate = options.validate !== false;
+    const provision = options.provision !== false;
+
+    if (validate) await this.checkAccount();
+    try {
+      if (provision && this.provision.inbox && !this.chatwoot.inboxID) {
+        await this.ensureInbox();
+      }
+    } catch (error) {
+      throw Provisioner.toConfigError(error, "crear la bandeja");
+    }
+    if (validate) await this.checkInbox();
+    if (!provision) return;
+
+    try {
+      if (this.provision.webhookURL) {
+        await this.ensureWebhook();
+      }
+    } catch (error) {
+      throw Provisioner.toConfigError(error, "configurar el webhook");
+    }
+
+    try {
+      await this.ensureLabels([
+        ...(this.provision.labels || []),
+        ...(options.labels || []),
+      ]);
+    } catch (error) {
+      throw Provisioner.toConfigError(error, "crear las etiquetas");
+    }
+  }
+}
+
+module.exports = Provisioner;
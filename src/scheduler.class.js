@@ -0,0 +1,208 @@
+// Planificador que mantiene el orden por clave (p. ej. número de teléfono)
+// y procesa claves distintas en paralelo, con límite global de concurrencia
+// y de tareas iniciadas por intervalo.
+class KeyedScheduler {
+  /**
+   * @param {Object} [_options={}] - Opciones del planificador.
+   * @param {number} [_options.concurrency=5] - Tareas simultáneas como máximo.
+   * @param {Object} [_options.rateLimit] - Límite global { max, interval } en milisegundos.
+   */
+  constructor(_options = {}) {
+    this.concurrency = _options.concurrency ?? 5;
+    this.rateLimit = _options.rateLimit || null;
+    this.queues = new Map();
+    this.ready = [];
+    this.running = 0;
+    this.starts = [];
+    this.timer = null;
+    // Hasta cuándo no se inician tareas (ver pause()).
+    this.pausedUntil = 0;
+    this.waitStats = { count: 0, total: 0, max: 0 };
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Añade una tarea a la cola de una clave.
+   *
+   * @param {string} [key] - Clave de orden; sin clave la tarea no espera a ninguna otra.
+   * @param {Function} fn - Función asíncrona a ejecutar.
+   * @returns {Promise<*>} Resuelve o rechaza con el resultado de la tarea.
+   */
+  enqueue(key, fn) {
+    const queueKey = key ?? Symbol("task");
+    return new Promise((resolve, reject) => {
+      const task = { fn, resolve, reject, enqueuedAt: Date.now() };
+      const queue = this.queues.get(queueKey);
+      if (queue) {
+        queue.tasks.push(task);
+      } else {
+        this.queues.set(queueKey, { tasks: [task], active: false });
+        this.ready.push(queueKey);
+      }
+      this._drain();
+    });
+  }
+
+  /**
+   * Milisegundos a esperar para respetar el límite global, 0 si se puede iniciar.
+   * @returns {number}
+   */
+  _rateLimitDelay() {
+    if (!this.rateLimit) return 0;
+    const now = Date.now();
+    const { max, interval } = this.rateLimit;
+    while (this.starts.length && this.starts[0] <= now - interval) {
+      this.starts.shift();
+    }
+    if (this.starts.length < max) return 0;
+    return this.starts[0] + interval - now;
+  }
+
+  /**
+   * Deja de iniciar tareas durante un tiempo, por ejemplo mientras el
+   * servidor pide esperar con Retry-After. Las tareas en curso continúan.
+   * @param {number} ms - Milisegundos de pausa.
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Inicia tareas mientras haya hueco de concurrencia y de límite global.
+   */
+  _drain() {
+    while (this.running < this.concurrency && this.ready.length) {
+      const delay = Math.max(
+        this._rateLimitDelay(),
+        this.pausedUntil - Date.now()
+      );
+      if (delay > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this._drain();
+          }, delay);
+        }
+        return;
+      }
+
+      const key = this.ready.shift();
+      const queue = this.queues.get(key);
+      const task = queue.tasks.shift();
+      queue.active = true;
+      this.running++;
+      this.starts.push(Date.now());
+
+      const wait = Date.now() - task.enqueuedAt;
+      this.waitStats.count++;
+      this.waitStats.total += wait;
+      this.waitStats.max = Math.max(this.waitStats.max, wait);
+
+      Promise.resolve()
+        .then(task.fn)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          this.running--;
+          queue.active = false;
+          if (queue.tasks.length) {
+            // Al final de la lista para repartir turnos entre claves.
+            this.ready.push(key);
+          } else {
+            this.queues.delete(key);
+          }
+          this._drain();
+          this._notifyIdle();
+        });
+    }
+  }
+
+  /**
+   * Indica si no hay tareas pendientes ni en curso.
+   * @returns {boolean}
+   */
+  isIdle() {
+    return this.running === 0 && this.ready.length === 0;
+  }
+
+  /**
+   * Resuelve a quienes esperan en idle() si la cola quedó vacía.
+   */
+  _notifyIdle() {
+    if (!this.isIdle()) return;
+    for (const waiter of this.idleWaiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(true);
+    }
+  }
+
+  /**
+   * Espera a que terminen todas las tareas, incluidas las que se añadan
+   * mientras tanto.
+   *
+   * @param {number} [timeout] - Milisegundos como máximo; sin límite si se omite.
+   * @returns {Promise<boolean>} false si se agotó el tiempo.
+   */
+  idle(timeout) {
+    if (this.isIdle()) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const waiter = { resolve };
+      if (timeout !== undefined) {
+        waiter.timer = setTimeout(() => {
+          this.idleWaiters = this.idleWaiters.filter((w) => w !== waiter);
+          resolve(false);
+        }, timeout);
+      }
+      this.idleWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * Descarta las tareas que aún no empezaron; las que están en curso
+   * terminan normalmente.
+   *
+   * @param {Error} [error] - Error con el que se rechazan las tareas descartadas.
+   * @returns {number} Cantidad de tareas descartadas.
+   */
+  clear(error = new Error("Tarea descartada al detener la cola")) {
+    let discarded = 0;
+    for (const [key, queue] of this.queues) {
+      for (const task of queue.tasks.splice(0)) {
+        task.reject(error);
+        discarded++;
+      }
+      if (!queue.active) this.queues.delete(key);
+    }
+    this.ready = [];
+    clearTimeout(this.timer);
+    this.timer = null;
+    this._notifyIdle();
+    return discarded;
+  }
+
+  /**
+   * Estado de la cola para observabilidad.
+   * @returns {{pending: number, running: number, keys: number, oldestWaitMs: number, avgWaitMs: number, maxWaitMs: number}}
+   */
+  stats() {
+    const now = Date.now();
+    let pending = 0;
+    let oldest = now;
+    for (const queue of this.queues.values()) {
+      pending += queue.tasks.length;
+      if (queue.tasks.length) {
+        oldest = Math.min(oldest, queue.tasks[0].enqueuedAt);
+      }
+    }
+    const { count, total, max } = this.waitStats;
+    return {
+      pending,
+      running: this.running,
+      keys: this.queues.size,
+      oldestWaitMs: now - oldest,
+      avgWaitMs: count ? Math.round(total / count) : 0,
+      maxWaitMs: max,
+    };
+  }
+}
+
+module.exports = KeyedScheduler;
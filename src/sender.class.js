@@ -0,0 +1,187 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const MediaLoader = require("./media.class");
+const MessageNormalizer = require("./normalizer.class");
+const Logger = require("./logger.class");
+
+// Método de cada provider de @bot-whatsapp por tipo de adjunto. Todos
+// reciben (número, ruta, texto); caption indica si el método admite texto
+// junto al archivo. Si no, el texto se envía antes como mensaje aparte.
+const SENDERS = {
+  baileys: {
+    image: { method: "sendImage", caption: true },
+    video: { method: "sendVideo", caption: true },
+    audio: { method: "sendAudio", caption: false },
+    document: { method: "sendFile", caption: true },
+  },
+  venom: {
+    image: { method: "sendImage", caption: true },
+    video: { method: "sendFile", caption: true },
+    audio: { method: "sendAudio", caption: false },
+    document: { method: "sendFile", caption: true },
+  },
+  meta: {
+    image: { method: "sendImage", caption: false },
+    video: { method: "sendVideo", caption: false },
+    audio: { method: "sendAudio", caption: false },
+    document: { method: "sendFile", caption: false },
+  },
+};
+SENDERS.wppconnect = SENDERS.venom;
+
+// Tipos de adjunto de Chatwoot (file_type) que se pueden reenviar.
+const FILE_TYPES = {
+  image: "image",
+  video: "video",
+  audio: "audio",
+  file: "document",
+};
+
+// Clase que reenvía a WhatsApp los adjuntos que un agente envía desde Chatwoot
+class MediaSender {
+  /**
+   * @param {Object} provider - Instancia del provider (bot.providerClass).
+   * @param {MediaLoader} media - Cargador de adjuntos (límites de tamaño y tipo).
+   * @param {string} [providerName] - Fuerza el provider: meta, baileys, venom, wppconnect, twilio o generic.
+   * @param {Logger} [logger] - Registro de eventos.
+   */
+  constructor(provider, media, providerName = null, logger = null) {
+    this.provider = provider;
+    this.media = media || new MediaLoader();
+    this.providerName = providerName || MessageNormalizer.detect(provider);
+    this.logger = Logger.from(logger);
+  }
+
+  /**
+   * Tipo de envío de un adjunto de Chatwoot: image, video, audio o document.
+   * @param {Object} attachment - Adjunto del webhook de Chatwoot.
+   * @returns {string|null} null si el tipo no se puede enviar como archivo.
+   */
+  static kind(attachment) {
+    return FILE_TYPES[attachment.file_type] || null;
+  }
+
+  /**
+   * Texto con el enlace al adjunto, usado cuando no se puede enviar el archivo.
+   * @param {Object} attachment - Adjunto del webhook de Chatwoot.
+   * @param {string} [caption] - Texto del agente.
+   * @returns {string}
+   */
+  static linkText(attachment, caption) {
+    const filename =
+      MediaLoader.filenameFromURL(attachment.data_url) || "Adjunto";
+    const link = `📎 ${filename}: ${attachment.data_url}`;
+    return caption ? `${caption}\n\n${link}` : link;
+  }
+
+  /**
+   * Texto que sustituye a un adjunto que no se puede reenviar ni enlazar.
+   * @param {string} [caption] - Texto del agente.
+   * @returns {string}
+   */
+  static unavailableText(caption) {
+    const notice = "📎 Adjunto no disponible";
+    return caption ? `${caption}\n\n${notice}` : notice;
+  }
+
+  /**
+   * Guarda el adjunto en un directorio temporal con su nombre original, ya que
+   * los providers reciben rutas y usan el nombre del archivo como nombre del
+   * documento.
+   *
+   * @param {Object} attachment - Adjunto del webhook de Chatwoot.
+   * @returns {Promise<{path: string, dir: string, mimeType: string, filename: string}>}
+   */
+  async _download(attachment) {
+    const file = await this.media.load(attachment.data_url);
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatwoot-"));
+    const filePath = path.join(dir, path.basename(file.filename));
+    await fs.promises.writeFile(filePath, file.buffer);
+    return { ...file, path: filePath, dir };
+  }
+
+  /**
+   * Envía el enlace al adjunto como mensaje de texto.
+   * @param {string} phone - Número de teléfono del cliente.
+   * @param {Object} attachment - Adjunto del webhook de Chatwoot.
+   * @param {string} [caption] - Texto del agente.
+   */
+  async sendLink(phone, attachment, caption) {
+    await this.provider.sendMessage(
+      phone,
+      MediaSender.linkText(attachment, caption),
+      {}
+    );
+  }
+
+  /**
+   * Envía un adjunto del agente con el método adecuado del provider. Si el tipo
+   * no está soportado o el envío falla, se envía un enlace al archivo.
+   *
+   * Solo se aceptan URLs http(s): data_url llega en el payload del webhook y
+   * una ruta local o file:// enviaría al cliente un archivo del servidor.
+   *
+   * @param {string} phone - Número de teléfono del cliente.
+   * @param {Object} attachment - Adjunto del webhook de Chatwoot.
+   * @param {string} [caption=""] - Texto del agente que acompaña al adjunto.
+   */
+  async send(phone, attachment, caption = "") {
+    if (!MediaLoader.isRemoteURL(attachment.data_url)) {
+      this.logger.warn("Adjunto del agente rechazado: la URL no es http(s)", {
+        phone,
+        attachment: MediaLoader.describe(attachment.data_url),
+      });
+      await this.provider.sendMessage(
+        phone,
+        MediaSender.unavailableText(caption),
+        {}
+      );
+      return;
+    }
+
+    const kind = MediaSender.kind(attachment);
+    if (!kind) {
+      await this.sendLink(phone, attachment, caption);
+      return;
+    }
+
+    const sender = SENDERS[this.providerName]?.[kind];
+    let file = null;
+    let captionSent = false;
+    try {
+      if (!sender || typeof this.provider[sender.method] !== "function") {
+        // Twilio y el resto de providers reciben la URL en options.media.
+        await this.provider.sendMessage(phone, caption, {
+          options: { media: attachment.data_url },
+        });
+        return;
+      }
+
+      file = await this._download(attachment);
+      if (caption && !sender.caption) {
+        await this.provider.sendMessage(phone, caption, {});
+        captionSent = true;
+      }
+      const args = sender.caption
+        ? [phone, file.path, caption]
+        : [phone, file.path];
+      await this.provider[sender.method](...args);
+    } catch (error) {
+      this.logger.error("Error al enviar el adjunto, se envía el enlace", {
+        phone,
+        attachment: MediaLoader.describe(attachment.data_url),
+        error,
+      });
+      await this.sendLink(phone, attachment, captionSent ? "" : caption);
+    } finally {
+      if (file) {
+        await fs.promises
+          .rm(file.dir, { recursive: true, force: true })
+          .catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = MediaSender;
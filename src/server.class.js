@@ -0,0 +1,311 @@
+const express = require("express");
+const bodyParser = require("body-parser");
+const WebhookGuard = require("./webhook.class");
+const Logger = require("./logger.class");
+const Metrics = require("./metrics.class");
+
+const DEFAULT_PATH = "/webhook-endpoint";
+
+// Servidor de webhooks compartido: un único servidor Express por puerto que
+// reparte cada evento entre los dashboards de su cuenta y su bandeja. El
+// manejador también se puede montar en un servidor propio (Express, Polka o
+// http de Node) con createHandler.
+class WebhookServer {
+  static servers = new Map();
+
+  /**
+   * Registra un dashboard en el servidor del puerto indicado, creándolo si
+   * todavía no existe.
+   *
+   * @param {number} port - Puerto del servidor.
+   * @param {Object} dashboard - Instancia de ChatwootWrapper.
+   * @param {string} [path="/webhook-endpoint"] - Ruta del webhook.
+   * @returns {Promise<void>} Se resuelve cuando el servidor está escuchando.
+   * @throws {Error} Si no se pudo abrir el puerto (por ejemplo EADDRINUSE).
+   */
+  static async register(port, dashboard, path = DEFAULT_PATH) {
+    let server = this.servers.get(port);
+    if (!server) {
+      server = this.createServer(port, dashboard.logger);
+      this.servers.set(port, server);
+    }
+    try {
+      await server.ready;
+    } catch (error) {
+      // Sin la entrada en caché, el siguiente intento vuelve a escuchar.
+      if (this.servers.get(port) === server) this.servers.delete(port);
+      throw error;
+    }
+    let routeDashboards = server.routes.get(path);
+    if (!routeDashboards) {
+      routeDashboards = new Set();
+      server.routes.set(path, routeDashboards);
+      server.app.use(
+        this.createHandler(routeDashboards, { path, logger: dashboard.logger })
+      );
+    }
+    routeDashboards.add(dashboard);
+    server.dashboards.add(dashboard);
+  }
+
+  /**
+   * Quita un dashboard del servidor de su puerto y cierra el servidor cuando
+   * ya no le queda ninguno.
+   *
+   * @param {number} port - Puerto del servidor.
+   * @param {Object} dashboard - Instancia de ChatwootWrapper.
+   * @returns {Promise<void>} Se resuelve cuando el servidor, si se cerró, terminó las conexiones en curso.
+   */
+  static async unregister(port, dashboard) {
+    const server = this.servers.get(port);
+    if (!server) return;
+    server.dashboards.delete(dashboard);
+    for (const routeDashboards of server.routes.values()) {
+      routeDashboards.delete(dashboard);
+    }
+    if (server.dashboards.size > 0) return;
+
+    this.servers.delete(port);
+    await new Promise((resolve) => {
+      server.listener.close(() => resolve());
+      // Las conexiones keep-alive inactivas no deben retrasar el cierre.
+      server.listener.closeIdleConnections?.();
+    });
+    Logger.from(dashboard.logger).info("Servidor detenido", { port });
+  }
+
+  /**
+   * Crea el servidor Express de un puerto, con los endpoints /health y
+   * /metrics (ver respondMonitoring).
+   *
+   * @param {number} port - Puerto en el que se iniciará el servidor.
+   * @param {Logger} [logger] - Registro de eventos.
+   * @returns {{app: Object, listener: Object, ready: Promise<void>, dashboards: Set, routes: Map}}
+   *   ready se rechaza si el puerto no se pudo abrir.
+   */
+  static createServer(port, logger = null) {
+    const dashboards = new Set();
+    const app = express();
+    app.get("/health", (req, res) =>
+      this.respondMonitoring(dashboards, req, res, this.respondHealth)
+    );
+    app.get("/metrics", (req, res) =>
+      this.respondMonitoring(dashboards, req, res, this.respondMetrics)
+    );
+    const listener = app.listen(port);
+    // Sin un listener de "error", un puerto ocupado tumba el proceso.
+    const ready = new Promise((resolve, reject) => {
+      listener.once("listening", () => {
+        listener.off("error", reject);
+        Logger.from(logger).info("Servidor escuchando", { port });
+        resolve();
+      });
+      listener.once("error", reject);
+    });
+    return { app, listener, ready, dashboards, routes: new Map() };
+  }
+
+  /**
+   * Crea un manejador (req, res, next) para montar el webhook en cualquier
+   * servidor compatible con el módulo http de Node. Debe montarse antes de
+   * cualquier parser de JSON del servidor, porque la firma HMAC se verifica
+   * sobre el cuerpo original.
+   *
+   * @param {Set|Object[]} dashboards - Dashboards que reciben los eventos.
+   * @param {Object} [options={}]
+   * @param {string|null} [options.path="/webhook-endpoint"] - Ruta del webhook; null acepta cualquier ruta (para montarlo en una ruta propia).
+   * @param {string|null} [options.healthPath=null] - Ruta del endpoint de salud; null lo desactiva.
+   * @param {string|null} [options.metricsPath=null] - Ruta de las métricas de Prometheus; null lo desactiva.
+   *   Salud y métricas piden el token o una IP autorizada (ver WebhookGuard.authenticateMonitoring).
+   * @param {string} [options.limit="1mb"] - Tamaño máximo del cuerpo.
+   * @param {Object} [options.logger] - Registro de eventos; por defecto el del primer dashboard.
+   * @returns {Function}
+   */
+  static createHandler(dashboards, options = {}) {
+    const path = options.path === undefined ? DEFAULT_PATH : options.path;
+    const healthPath = options.healthPath || null;
+    const metricsPath = options.metricsPath || null;
+    const logger = Logger.from(options.logger || [...dashboards][0]?.logger);
+    const parseJSON = bodyParser.json({
+      verify: WebhookGuard.captureRawBody,
+      limit: options.limit || "1mb",
+    });
+
+    return (req, res, next) => {
+      const url = new URL(req.url || "/", "http://localhost");
+      const notFound = () => {
+        if (typeof next === "function") return next();
+        this.respond(res, 404, "No encontrado");
+      };
+
+      // Los servidores que no son Express no rellenan req.query.
+      if (!req.query) {
+        req.query = Object.fromEntries(url.searchParams);
+      }
+      if (healthPath && url.pathname === healthPath) {
+        if (req.method !== "GET") return notFound();
+        return this.respondMonitoring(dashboards, req, res, this.respondHealth);
+      }
+      if (metricsPath && url.pathname === metricsPath) {
+        if (req.method !== "GET") return notFound();
+        return this.respondMonitoring(
+          dashboards,
+          req,
+          res,
+          this.respondMetrics
+        );
+      }
+      if (req.method !== "POST" || (path && url.pathname !== path)) {
+        return notFound();
+      }
+
+      parseJSON(req, res, (error) => {
+        const rejection = error
+          ? this.authenticate(dashboards, req).rejection || {
+              status: error.status || 400,
+              reason: "cuerpo inválido",
+            }
+          : this.dispatch(dashboards, req);
+        if (rejection) {
+          logger.warn("Webhook rechazado", {
+            ip: WebhookGuard.clientIP(req),
+            reason: rejection.reason,
+          });
+          return this.respond(res, rejection.status, rejection.reason);
+        }
+        this.respond(res, 200, "Evento del agente recibido.");
+      });
+    };
+  }
+
+  /**
+   * Envía una respuesta usando solo la API de http de Node.
+   *
+   * @param {Object} res - Respuesta HTTP.
+   * @param {number} status - Código de estado.
+   * @param {string|Object} body - Texto o JSON.
+   */
+  static respond(res, status, body) {
+    const isJSON = typeof body === "object";
+    res.statusCode = status;
+    res.setHeader(
+      "Content-Type",
+      isJSON ? "application/json" : "text/plain; charset=utf-8"
+    );
+    res.end(isJSON ? JSON.stringify(body) : body);
+  }
+
+  /**
+   * Sirve un endpoint de monitorización solo con los dashboards que
+   * autorizan la petición, de modo que cada uno expone sus datos solo a
+   * quien tiene su token o está en su lista de IPs.
+   *
+   * @param {Set|Object[]} dashboards - Dashboards registrados.
+   * @param {Object} req - Petición HTTP.
+   * @param {Object} res - Respuesta HTTP.
+   * @param {Function} handler - respondHealth o respondMetrics.
+   */
+  static respondMonitoring(dashboards, req, res, handler) {
+    const { authorized, rejection } = this.authenticate(dashboards, req, (d) =>
+      d.webhookGuard.authenticateMonitoring(req)
+    );
+    if (rejection) return this.respond(res, rejection.status, rejection.reason);
+    return handler.call(this, authorized, res);
+  }
+
+  /**
+   * Responde con el estado de los dashboards: 200 si todos llegan a
+   * Chatwoot, 503 si alguno no.
+   *
+   * @param {Set|Object[]} dashboards - Dashboards a comprobar.
+   * @param {Object} res - Respuesta HTTP.
+   */
+  static async respondHealth(dashboards, res) {
+    try {
+      const reports = await Promise.all(
+        [...dashboards].map((dashboard) => dashboard.getHealth())
+      );
+      const ok = reports.every((report) => report.ok);
+      this.respond(res, ok ? 200 : 503, {
+        status: ok ? "ok" : "error",
+        dashboards: reports,
+      });
+    } catch (error) {
+      // El detalle del error puede revelar la configuración interna.
+      this.respond(res, 500, { status: "error" });
+    }
+  }
+
+  /**
+   * Responde con las métricas de los dashboards en formato de texto de
+   * Prometheus.
+   *
+   * @param {Set|Object[]} dashboards - Dashboards a exponer.
+   * @param {Object} res - Respuesta HTTP.
+   */
+  static respondMetrics(dashboards, res) {
+    const body = Metrics.render([...dashboards].map((d) => d.metrics));
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.end(body);
+  }
+
+  /**
+   * Dashboards cuya configuración de seguridad acepta el origen de la
+   * petición (IP, token y firma).
+   *
+   * @param {Set|Object[]} dashboards - Dashboards registrados en el servidor.
+   * @param {Object} req - Petición HTTP.
+   * @param {Function} [check] - Comprobación por dashboard; por defecto la del webhook.
+   * @returns {{authorized: Object[], rejection: {status: number, reason: string}|null}}
+   *   rejection es el primer rechazo si ningún dashboard la acepta.
+   */
+  static authenticate(
+    dashboards,
+    req,
+    check = (dashboard) => dashboard.webhookGuard.authenticate(req)
+  ) {
+    const authorized = [];
+    let rejection = null;
+    for (const dashboard of dashboards) {
+      const result = check(dashboard);
+      if (result) rejection ||= result;
+      else authorized.push(dashboard);
+    }
+    return { authorized, rejection: authorized.length ? null : rejection };
+  }
+
+  /**
+   * Entrega el evento a los dashboards que aceptan el origen de la petición
+   * y cuya cuenta y bandeja coinciden. La autenticación va primero, para que
+   * quien no está autorizado no obtenga información del payload ni de las
+   * bandejas configuradas.
+   *
+   * @param {Set|Object[]} dashboards - Dashboards registrados en el servidor.
+   * @param {Object} req - Petición HTTP.
+   * @returns {{status: number, reason: string}|null} null si se entregó.
+   */
+  static dispatch(dashboards, req) {
+    const { authorized, rejection } = this.authenticate(dashboards, req);
+    if (rejection) return rejection;
+
+    const payloadReason = WebhookGuard.checkPayload(req.body);
+    if (payloadReason) return { status: 400, reason: payloadReason };
+
+    const targets = authorized.filter((d) => d.matchesEvent(req.body));
+    if (targets.length === 0) {
+      return { status: 404, reason: "ninguna bandeja coincide con el evento" };
+    }
+    const active = targets.filter((d) => d.acceptsWebhooks !== false);
+    if (active.length === 0) {
+      return { status: 503, reason: "el dashboard no está activo" };
+    }
+
+    for (const dashboard of active) {
+      dashboard.handleAgentEvent(req.body);
+    }
+    return null;
+  }
+}
+
+module.exports = WebhookServer;
@@ -0,0 +1,237 @@
+const { createHmac, timingSafeEqual } = require("crypto");
+
+// Campos mínimos que debe traer cada tipo de evento del webhook de Chatwoot.
+const EVENT_SCHEMAS = {
+  message_created: {
+    id: "number",
+    message_type: "string",
+    conversation: "object",
+  },
+  message_updated: {
+    id: "number",
+    message_type: "string",
+    conversation: "object",
+  },
+  conversation_created: { id: "number" },
+  conversation_updated: { id: "number" },
+  conversation_status_changed: { id: "number", status: "string" },
+  contact_created: { id: "number" },
+  contact_updated: { id: "number" },
+};
+
+// Clase que valida el origen y el contenido de los webhooks de Chatwoot
+class WebhookGuard {
+  /**
+   * @param {Object} [_options={}] - Opciones de seguridad del webhook.
+   * @param {string} [_options.CHATWOOT_WEBHOOK_TOKEN] - Token compartido, enviado como ?token= o en la cabecera x-webhook-token.
+   * @param {string} [_options.CHATWOOT_WEBHOOK_SECRET] - Secreto para verificar la firma HMAC (X-Chatwoot-Signature).
+   * @param {string[]} [_options.webhookAllowedIPs] - IPs o rangos CIDR IPv4 autorizados.
+   * @param {number} [_options.webhookTolerance=300] - Antigüedad máxima en segundos de un webhook firmado.
+   * @param {boolean} [_options.publicMonitoring=false] - Sirve /health y /metrics sin token ni lista de IPs.
+   */
+  constructor(_options = {}) {
+    this.token = _options.CHATWOOT_WEBHOOK_TOKEN || null;
+    this.secret = _options.CHATWOOT_WEBHOOK_SECRET || null;
+    this.allowedIPs = _options.webhookAllowedIPs || [];
+    this.tolerance = _options.webhookTolerance ?? 300;
+    this.publicMonitoring = Boolean(_options.publicMonitoring);
+  }
+
+  /**
+   * Compara dos cadenas en tiempo constante.
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  static safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    if (bufferA.length !== bufferB.length) return false;
+    return timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Convierte una IPv4 en entero.
+   * @param {string} ip
+   * @returns {number|null}
+   */
+  static ipToInt(ip) {
+    const parts = ip.split(".").map(Number);
+    if (parts.length !== 4 || parts.some((p) => !(p >= 0 && p <= 255))) {
+      return null;
+    }
+    return parts.reduce((acc, part) => (acc << 8) + part, 0) >>> 0;
+  }
+
+  /**
+   * Indica si una IP coincide con una entrada de la lista (IP exacta o CIDR).
+   * @param {string} ip - IP del cliente.
+   * @param {string} entry - IP o rango CIDR.
+   * @returns {boolean}
+   */
+  static matchIP(ip, entry) {
+    if (!entry.includes("/")) return ip === entry;
+    const [range, bits] = entry.split("/");
+    const ipInt = WebhookGuard.ipToInt(ip);
+    const rangeInt = WebhookGuard.ipToInt(range);
+    if (ipInt === null || rangeInt === null) return false;
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return (ipInt & mask) === (rangeInt & mask);
+  }
+
+  /**
+   * Obtiene la IP del cliente sin el prefijo IPv4-mapped de IPv6.
+   * @param {Object} req - Petición HTTP.
+   * @returns {string}
+   */
+  static clientIP(req) {
+    const ip = req.ip || req.socket?.remoteAddress || "";
+    return ip.replace(/^::ffff:/, "");
+  }
+
+  /**
+   * Comprueba el token compartido en la URL o en las cabeceras.
+   * @param {Object} req - Petición HTTP.
+   * @returns {string|null} Motivo del rechazo o null si es válido.
+   */
+  checkToken(req) {
+    if (!this.token) return null;
+    const provided =
+      req.query?.token ||
+      req.headers["x-webhook-token"] ||
+      req.headers["authorization"]?.replace(/^Bearer\s+/i, "");
+    if (!provided) return "token ausente";
+    if (!WebhookGuard.safeEqual(provided, this.token)) return "token inválido";
+    return null;
+  }
+
+  /**
+   * Verifica la firma HMAC-SHA256 que Chatwoot calcula sobre
+   * "<timestamp>.<cuerpo>" con el secreto del webhook.
+   * @param {Object} req - Petición HTTP con rawBody.
+   * @returns {string|null} Motivo del rechazo o null si es válida.
+   */
+  checkSignature(req) {
+    if (!this.secret) return null;
+    const signature = req.headers["x-chatwoot-signature"];
+    const timestamp = req.headers["x-chatwoot-timestamp"];
+    if (!signature) return "firma ausente";
+    if (!req.rawBody) return "cuerpo sin procesar no disponible";
+
+    if (timestamp && this.tolerance > 0) {
+      const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (!(age <= this.tolerance)) return "firma caducada";
+    }
+
+    const payload = timestamp
+      ? `${timestamp}.${req.rawBody.toString("utf8")}`
+      : req.rawBody.toString("utf8");
+    const expected = `sha256=${createHmac("sha256", this.secret)
+      .update(payload)
+      .digest("hex")}`;
+    const received = signature.startsWith("sha256=")
+      ? signature
+      : `sha256=${signature}`;
+    if (!WebhookGuard.safeEqual(received, expected)) return "firma inválida";
+    return null;
+  }
+
+  /**
+   * Comprueba que la IP de origen esté autorizada.
+   * @param {Object} req - Petición HTTP.
+   * @returns {string|null} Motivo del rechazo o null si es válida.
+   */
+  checkIP(req) {
+    if (this.allowedIPs.length === 0) return null;
+    const ip = WebhookGuard.clientIP(req);
+    const allowed = this.allowedIPs.some((entry) =>
+      WebhookGuard.matchIP(ip, entry)
+    );
+    return allowed ? null : `IP no autorizada (${ip})`;
+  }
+
+  /**
+   * Valida la estructura mínima del payload.
+   * @param {Object} body - Cuerpo del webhook.
+   * @returns {string|null} Motivo del rechazo o null si es válido.
+   */
+  static checkPayload(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return "payload inválido";
+    }
+    if (typeof body.event !== "string" || !body.event) {
+      return "campo event ausente";
+    }
+    const schema = EVENT_SCHEMAS[body.event];
+    if (!schema) return null;
+    for (const [field, type] of Object.entries(schema)) {
+      const value = body[field];
+      if (value === null || typeof value !== type) {
+        return `campo ${field} inválido en ${body.event}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Indica si hay algún mecanismo de autenticación configurado. Sin ninguno,
+   * cualquiera que alcance el puerto puede enviar mensajes a los clientes.
+   * @returns {boolean}
+   */
+  isProtected() {
+    return Boolean(this.token || this.secret || this.allowedIPs.length);
+  }
+
+  /**
+   * Comprueba el origen de la petición (IP, token y firma) sin mirar el
+   * contenido del payload.
+   * @param {Object} req - Petición HTTP.
+   * @returns {{status: number, reason: string}|null} null si está autorizada.
+   */
+  authenticate(req) {
+    const reason =
+      this.checkIP(req) || this.checkToken(req) || this.checkSignature(req);
+    return reason ? { status: 401, reason } : null;
+  }
+
+  /**
+   * Comprueba el acceso a los endpoints de salud y métricas, que exponen IDs
+   * de cuenta y bandeja. Piden el token o una IP autorizada (la firma no
+   * sirve: son peticiones GET sin cuerpo); sin ninguno de los dos solo se
+   * sirven con publicMonitoring.
+   * @param {Object} req - Petición HTTP.
+   * @returns {{status: number, reason: string}|null} null si está autorizada.
+   */
+  authenticateMonitoring(req) {
+    if (this.publicMonitoring) return null;
+    if (!this.token && this.allowedIPs.length === 0) {
+      return { status: 401, reason: "monitorización no habilitada" };
+    }
+    const reason = this.checkIP(req) || this.checkToken(req);
+    return reason ? { status: 401, reason } : null;
+  }
+
+  /**
+   * Ejecuta todas las validaciones sobre una petición.
+   * @param {Object} req - Petición HTTP.
+   * @returns {{status: number, reason: string}|null} null si la petición es válida.
+   */
+  verify(req) {
+    const authRejection = this.authenticate(req);
+    if (authRejection) return authRejection;
+
+    const payloadReason = WebhookGuard.checkPayload(req.body);
+    if (payloadReason) return { status: 400, reason: payloadReason };
+
+    return null;
+  }
+
+  /**
+   * Función verify de body-parser que conserva el cuerpo original para la firma.
+   */
+  static captureRawBody(req, res, buffer) {
+    req.rawBody = buffer;
+  }
+}
+
+module.exports = WebhookGuard;
@@ -1,57 +1,853 @@
 // Importaciones de módulos
 const { EventEmitter } = require("events");
-const Queue = require("queue-promise");
-const express = require("express");
-const bodyParser = require("body-parser");
 const ChatwootClient = require("./client.class");
+const HandoffManager = require("./handoff.class");
+const WebhookGuard = require("./webhook.class");
+const KeyedScheduler = require("./scheduler.class");
+const Outbox = require("./outbox.class");
+const JsonLinesStore = require("./jsonl-store.class");
+const WebhookServer = require("./server.class");
+const MessageNormalizer = require("./normalizer.class");
+const MessageFormatter = require("./formatter.class");
+const MediaSender = require("./sender.class");
+const DashboardEvents = require("./events.class");
+const Provisioner = require("./provisioner.class");
+const UpdateBatcher = require("./batcher.class");
+const ConversationContext = require("./context.class");
+const IdempotencyTracker = require("./idempotency.class");
+const HistoryImporter = require("./importer.class");
+const BusinessHours = require("./hours.class");
+const ProfileSync = require("./profile.class");
+const Logger = require("./logger.class");
+const Metrics = require("./metrics.class");
+
+const DEFAULT_OUT_OF_OFFICE =
+  "En este momento no hay agentes disponibles. Te atenderemos en el próximo horario de atención: {opensAt}.";
 
 // Clase que envuelve las funcionalidades del bot
+// Cada instancia conecta un bot con una bandeja de Chatwoot y tiene su propio
+// cliente, colas, bloqueos y emisor de eventos.
 class ChatwootWrapper {
-  static botInstance = null;
-  static chatwoot = null;
-  static events = new EventEmitter();
-  static queue = new Queue({
-    concurrent: 1,
-    interval: 200,
-  });
+  /**
+   * @param {Object} bot - Instancia del bot a envolver.
+   * @param {Object} [_options={}] - Opciones de configuración para ChatwootClient.
+   * @param {number} [_options.port=3004] - Puerto del servidor de webhooks, compartido entre instancias.
+   * @param {boolean} [_options.server=true] - false para no iniciar el servidor propio y montar middleware() en un servidor existente.
+   *   Como no hay garantía de recibir los webhooks que invalidan la caché, con false se activa conversation.verifyCached
+   *   salvo que se indique otra cosa (ver ChatwootClient).
+   * @param {string} [_options.webhookPath="/webhook-endpoint"] - Ruta del webhook.
+   * @param {boolean} [_options.publicMonitoring=false] - Sirve /health y /metrics sin autenticación; por defecto piden CHATWOOT_WEBHOOK_TOKEN o una IP de webhookAllowedIPs.
+   * @param {boolean} [_options.validate=true] - false para no comprobar el token y la bandeja contra Chatwoot al iniciar; provision se aplica igualmente.
+   * @param {Object} [_options.provision] - Recursos a crear si no existen (inbox, webhookURL, labels); ver Provisioner.
+   * @param {number} [_options.updateBatchDelay=100] - Milisegundos en los que se agrupan etiquetas y atributos de un mismo número.
+   * @param {Object} [_options.dedupe] - Registro de mensajes ya procesados (ttl, maxSize).
+   * @param {number} [_options.concurrency=5] - Clientes atendidos en paralelo; los mensajes de un mismo número siempre van en orden.
+   * @param {Object} [_options.outbox] - Opciones del outbox persistente (path, store, maxAttempts, replayInterval).
+   * @param {string} [_options.provider] - Provider de WhatsApp para normalizar mensajes y enviar adjuntos; por defecto se detecta de su clase.
+   * @param {Object} [_options.logger=console] - Logger compatible con pino o winston (debug, info, warn, error).
+   * @param {string} [_options.logLevel="info"] - Nivel mínimo del logger.
+   * @param {boolean} [_options.logRedact=true] - Oculta los números de teléfono en los logs.
+   * @param {number} [_options.shutdownTimeout=10000] - Milisegundos que stop() espera a que se vacíen las colas.
+   * @param {string|Object} [_options.businessHours] - "inbox" para usar el horario de la bandeja en Chatwoot, o un horario propio (timezone, weekly, holidays; ver BusinessHours).
+   * @param {Object} [_options.afterHours] - Qué hacer al escalar fuera de horario:
+   *   message es la respuesta al cliente ({opensAt} se sustituye por la próxima apertura; por defecto la de la bandeja),
+   *   label la etiqueta a añadir ("after-hours") y handoff false para no escalar automáticamente al abrir.
+   *   Las escaladas aplazadas se guardan en un archivo por cuenta y bandeja, o en store (load, save, remove) si se indica.
+   * @param {Object|boolean} [_options.profile] - Sincronización del perfil de los contactos (name, avatar, merge, avatarURL, botNumber, refreshInterval; ver ProfileSync); false la desactiva.
+   */
+  constructor(bot, _options = {}) {
+    this.botInstance = bot;
+    this._options = _options;
+    this.logger = Logger.from(_options.logger, {
+      level: _options.logLevel,
+      redact: _options.logRedact,
+    });
+    this.metrics = new Metrics({
+      labels: {
+        account: _options.CHATWOOT_ID,
+        inbox: _options.CHATWOOT_INBOX_ID,
+      },
+    });
+    this.metrics.addCollector(() => this.collectMetrics());
+    this.chatwoot = new ChatwootClient({
+      ..._options,
+      conversation: {
+        verifyCached: _options.server === false,
+        ..._options.conversation,
+      },
+      logger: this.logger,
+      metrics: this.metrics,
+    });
+    this.queue = new KeyedScheduler({
+      concurrency: _options.concurrency ?? 5,
+    });
+    this.handoff = new HandoffManager(bot);
+    this.normalizer = new MessageNormalizer(
+      bot?.providerClass,
+      _options.provider
+    );
+    this.sender = new MediaSender(
+      bot?.providerClass,
+      this.chatwoot.media,
+      _options.provider,
+      this.logger
+    );
+    this.profiles =
+      _options.profile === false
+        ? null
+        : new ProfileSync(
+            this.chatwoot,
+            bot?.providerClass,
+            this.normalizer.providerName,
+            _options.profile,
+            this.logger
+          );
+    this.webhookGuard = new WebhookGuard(_options);
+    this.provisioner = new Provisioner(this.chatwoot, _options, this.logger);
+    this.context = new ConversationContext();
+    this.seen = new IdempotencyTracker(_options.dedupe);
+    this.updates = new UpdateBatcher(
+      (key, batch) => this.enqueueUpdate(key, batch),
+      { delay: _options.updateBatchDelay }
+    );
+    this.outbox = this.createOutbox();
+    this.events = new EventEmitter();
+    this.bus = new DashboardEvents(this.logger);
+    this.scheduledFlushes = new Set();
+    this.replayTimer = null;
+    this.businessHours = null;
+    this.afterHours = {
+      message: null,
+      label: "after-hours",
+      handoff: true,
+      ..._options.afterHours,
+    };
+    // Escaladas pedidas fuera de horario, por número, hasta la apertura.
+    // Se guardan para que un reinicio no deje sin atender a quien ya recibió
+    // la respuesta de fuera de horario.
+    this.deferredEscalations = new Map();
+    this.escalationStore = this.createEscalationStore();
+    this.openingTimer = null;
+    this.listeners = [];
+    this.running = false;
+    this.acceptsWebhooks = false;
+    // true si stop() agotó el tiempo: los envíos en curso se abandonan.
+    this.halted = false;
+    this.startedAt = null;
+    // start() y stop() se encadenan para que nunca se ejecuten a la vez.
+    this.lifecycle = Promise.resolve();
+  }
 
   /**
    * Inicializa el bot y establece las configuraciones de Chatwoot.
+   * Equivale a start().
    *
-   * @param {Object} bot - Instancia del bot a envolver.
-   * @param {Object} [_options={}] - Opciones de configuración para ChatwootClient.
+   * @returns {ChatwootWrapper} La instancia con su API pública.
+   * @throws {ChatwootConfigError} Si la configuración o la conexión no son válidas.
    */
-  static async initialize(bot, _options = {}) {
-    if (Object.keys(_options).length === 0) {
-      console.warn("\nLas opciones para ChatwootClient están vacías.");
-      return;
+  async initialize() {
+    return this.start();
+  }
+
+  /**
+   * Inicia el dashboard: registra los listeners del bot y del provider, el
+   * webhook y el reenvío del outbox. Antes de registrar nada valida la
+   * configuración, el token y la bandeja, y crea los recursos indicados en
+   * provision. Si ya está iniciado no hace nada.
+   *
+   * @returns {Promise<ChatwootWrapper>}
+   * @throws {ChatwootConfigError} Si la configuración o la conexión no son válidas.
+   * @throws {Error} Si no se pudo abrir el puerto del servidor (EADDRINUSE...).
+   */
+  start() {
+    return this._transition(() => this._start());
+  }
+
+  /**
+   * Detiene el dashboard sin perder mensajes: deja de escuchar al bot y al
+   * provider, rechaza los webhooks, espera a que se vacíen las colas (lo que
+   * no llegue a enviarse queda en el outbox para el siguiente inicio) y
+   * cierra el servidor si ningún otro dashboard lo usa. Si ya está detenido
+   * no hace nada.
+   *
+   * @example
+   * process.once("SIGTERM", async () => {
+   *   await dashboard.stop();
+   *   process.exit(0);
+   * });
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout] - Milisegundos de espera; por defecto shutdownTimeout.
+   * @returns {Promise<ChatwootWrapper>}
+   */
+  stop(options = {}) {
+    return this._transition(() => this._stop(options));
+  }
+
+  /**
+   * Ejecuta un cambio de estado después del anterior, aunque este fallara.
+   *
+   * @param {Function} fn - Cambio de estado asíncrono.
+   * @returns {Promise<ChatwootWrapper>}
+   */
+  _transition(fn) {
+    const next = this.lifecycle.catch(() => {}).then(fn);
+    this.lifecycle = next;
+    return next.then(() => this);
+  }
+
+  /**
+   * Outbox del dashboard, con un archivo por cuenta y bandeja para que las
+   * instancias no se pisen.
+   *
+   * @returns {Outbox}
+   */
+  createOutbox() {
+    const { CHATWOOT_ID, CHATWOOT_INBOX_ID } = this._options;
+    return new Outbox({
+      path: `chatwoot-outbox-${CHATWOOT_ID}-${CHATWOOT_INBOX_ID}.jsonl`,
+      logger: this.logger,
+      ...this._options.outbox,
+    });
+  }
+
+  /**
+   * Almacén de las escaladas aplazadas, también por cuenta y bandeja.
+   *
+   * @returns {Object} Adaptador con load, save y remove.
+   */
+  createEscalationStore() {
+    const { CHATWOOT_ID, CHATWOOT_INBOX_ID } = this._options;
+    return (
+      this.afterHours.store ||
+      new JsonLinesStore({
+        path: `chatwoot-escalations-${CHATWOOT_ID}-${CHATWOOT_INBOX_ID}.jsonl`,
+        logger: this.logger,
+      })
+    );
+  }
+
+  /**
+   * Pasos de start(); ver start().
+   */
+  async _start() {
+    if (this.running) return;
+    this.halted = false;
+    this.startedAt = Date.now();
+    const inboxID = this._options.CHATWOOT_INBOX_ID;
+    await this.provisioner.run({
+      validate: this._options.validate !== false,
+      labels:
+        this._options.businessHours && this.afterHours.label
+          ? [this.afterHours.label]
+          : [],
+    });
+    // provision.inbox creó la bandeja: el outbox y las métricas se
+    // construyeron sin su ID (la caché ya la actualizó el provisioner).
+    if (this._options.CHATWOOT_INBOX_ID !== inboxID) {
+      this.metrics.setLabels({ inbox: this._options.CHATWOOT_INBOX_ID });
+      this.outbox = this.createOutbox();
+      this.escalationStore = this.createEscalationStore();
     }
+    await this.loadBusinessHours();
 
-    this.botInstance = bot;
-    this.chatwoot = new ChatwootClient(_options);
+    await this.outbox.load();
+    this.deferredEscalations.clear();
+    const escalations = await this.escalationStore.load();
+    for (const { id, options, requestedAt } of escalations) {
+      this.deferredEscalations.set(id, { options, requestedAt });
+    }
+    // Lo que quedó pendiente ya está en camino aunque el provider lo reenvíe.
+    for (const key of this.outbox.pendingKeys()) {
+      for (const item of this.outbox.pending(key)) {
+        if (item.type === "incoming" && item.payload?.id) {
+          this.seen.add(this.incomingKey(item.payload));
+        }
+      }
+    }
+    // Se registra antes que los listeners para que un puerto ocupado haga
+    // fallar start() sin dejar nada a medias; hasta el final de start() el
+    // servidor responde 503 a este dashboard.
+    if (this._options.server !== false) {
+      await WebhookServer.register(
+        this._options.port || 3004,
+        this,
+        this._options.webhookPath
+      );
+    }
     this.setUpBotListeners();
     this.setUpEventListeners();
-    this.startServer(_options.port || 3004);
+    this.running = true;
+    this.acceptsWebhooks = true;
+    if (!this.webhookGuard.isProtected()) {
+      this.logger.warn(
+        "El webhook no tiene autenticación: cualquiera que alcance el puerto puede enviar mensajes y archivos a los clientes. Configura CHATWOOT_WEBHOOK_TOKEN, CHATWOOT_WEBHOOK_SECRET o webhookAllowedIPs"
+      );
+    }
+
+    // Reenviar lo que quedó pendiente de ejecuciones anteriores.
+    this.replayOutbox();
+    this.replayTimer = setInterval(
+      () => this.replayOutbox(),
+      this.outbox.replayInterval
+    );
+    this.replayTimer.unref();
+    this.scheduleOpening();
 
     // Verificar y crear el atributo personalizado si es necesario.
     await this.checkAndCreateAttribute();
   }
 
+  /**
+   * Pasos de stop(); ver stop().
+   *
+   * @param {Object} [options={}] - Opciones de stop().
+   */
+  async _stop(options = {}) {
+    if (!this.running) return;
+    // Las actualizaciones agrupadas pasan al outbox y a la cola antes de
+    // dejar de aceptar trabajo.
+    await this.updates.flushAll();
+    this.running = false;
+    this.acceptsWebhooks = false;
+    this.removeListeners();
+    clearInterval(this.replayTimer);
+    this.replayTimer = null;
+    clearTimeout(this.openingTimer);
+    this.openingTimer = null;
+    if (this._options.server !== false) {
+      await WebhookServer.unregister(this._options.port || 3004, this);
+    }
+
+    const timeout =
+      options.timeout ?? this._options.shutdownTimeout ?? 10000;
+    const deadline = Date.now() + timeout;
+    const drained =
+      (await this.queue.idle(timeout)) &&
+      (await this.chatwoot.queue.idle(Math.max(deadline - Date.now(), 0)));
+    if (!drained) {
+      this.halted = true;
+      const discarded = this.queue.clear() + this.chatwoot.queue.clear();
+      this.logger.warn("Tiempo de espera agotado al detener el dashboard", {
+        discarded,
+        outbox: this.outbox.stats(),
+      });
+    }
+    this.scheduledFlushes.clear();
+    await this.outbox.close();
+    await this.escalationStore.close?.();
+    this.logger.info("Dashboard detenido", { drained });
+  }
+
+  /**
+   * Suscribe un manejador a un evento público del dashboard:
+   * conversation.resolved, conversation.assigned, agent.message,
+   * contact.updated o sync.failed (ver events.class.js). Los manejadores
+   * pueden ser asíncronos; sus errores se registran y no detienen la
+   * sincronización.
+   *
+   * @param {string} event - Nombre del evento.
+   * @param {Function} handler - Recibe el payload del evento.
+   * @returns {ChatwootWrapper}
+   */
+  on(event, handler) {
+    this.bus.on(event, handler);
+    return this;
+  }
+
+  /**
+   * Suscribe un manejador que se ejecuta una sola vez.
+   *
+   * @param {string} event - Nombre del evento.
+   * @param {Function} handler - Recibe el payload del evento.
+   * @returns {ChatwootWrapper}
+   */
+  once(event, handler) {
+    this.bus.once(event, handler);
+    return this;
+  }
+
+  /**
+   * Elimina un manejador de un evento público.
+   *
+   * @param {string} event - Nombre del evento.
+   * @param {Function} handler - Manejador suscrito.
+   * @returns {ChatwootWrapper}
+   */
+  off(event, handler) {
+    this.bus.off(event, handler);
+    return this;
+  }
+
+  /**
+   * Manejador (req, res, next) del webhook para montarlo en un servidor
+   * existente (Express, Polka o http de Node). Debe montarse antes de
+   * cualquier parser de JSON para poder verificar la firma.
+   *
+   * @example
+   * app.use(dashboard.middleware({ path: "/chatwoot", healthPath: "/health" }));
+   * http.createServer(dashboard.middleware()).listen(3000);
+   *
+   * @param {Object} [options={}] - Opciones de WebhookServer.createHandler (path, healthPath, limit).
+   * @returns {Function}
+   */
+  middleware(options = {}) {
+    return WebhookServer.createHandler([this], {
+      path: this._options.webhookPath,
+      ...options,
+    });
+  }
+
+  /**
+   * Estado del dashboard: conexión con Chatwoot, colas y outbox. Un
+   * dashboard detenido no está sano.
+   *
+   * @returns {Promise<{ok: boolean, running: boolean, accountID: string, inboxID: string, chatwoot: Object, queues: Object, outbox: Object}>}
+   */
+  async getHealth() {
+    const chatwoot = await this.chatwoot.ping();
+    return {
+      ok: chatwoot.ok && this.running,
+      running: this.running,
+      accountID: this.chatwoot.idChatwoot,
+      inboxID: this.chatwoot.inboxID,
+      chatwoot,
+      queues: this.getQueueStats(),
+      outbox: this.outbox.stats(),
+    };
+  }
+
+  /**
+   * Detiene las respuestas del bot para un número y lo refleja en el
+   * atributo "Funciones del Bot" del contacto.
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {boolean} [sync=true] - Actualiza el atributo en Chatwoot.
+   */
+  async pauseBot(phone, sync = true) {
+    const changed = this.handoff.pause(phone);
+    if (changed && sync) {
+      await this.syncBotAttribute(phone, "Off");
+    }
+  }
+
+  /**
+   * Reanuda las respuestas del bot para un número y lo refleja en el
+   * atributo "Funciones del Bot" del contacto.
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {boolean} [sync=true] - Actualiza el atributo en Chatwoot.
+   */
+  async resumeBot(phone, sync = true) {
+    const changed = this.handoff.resume(phone);
+    if (changed && sync) {
+      await this.syncBotAttribute(phone, "On");
+    }
+  }
+
+  /**
+   * Indica si el bot está respondiendo a un número.
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @returns {boolean}
+   */
+  isBotActive(phone) {
+    return this.handoff.isActive(phone);
+  }
+
+  /**
+   * Actualiza el atributo "funciones_del_bot" del contacto en Chatwoot.
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {string} value - "On" u "Off".
+   */
+  async syncBotAttribute(phone, value) {
+    try {
+      await this.chatwoot.setAttributes(
+        HandoffManager.normalize(phone),
+        "funciones_del_bot",
+        value
+      );
+    } catch (error) {
+      this.logger.error("Error al actualizar el atributo del bot", {
+        phone,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Añade etiquetas a la conversación del número, conservando las que ya
+   * tenga. Pensado para usarse desde los flujos del bot: como los mensajes,
+   * la actualización se guarda en el outbox y se aplica en segundo plano,
+   * así que una caída de Chatwoot no hace fallar el flujo.
+   *
+   * @example
+   * await dashboard.addLabels(ctx.from, ["interesado", "producto-a"]);
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {string[]} labels - Etiquetas; se normalizan al formato de Chatwoot.
+   * @returns {Promise<void>} Se resuelve cuando el lote queda en el outbox.
+   */
+  async addLabels(phone, labels) {
+    const titles = [].concat(labels).map(
+      (label) => Provisioner.normalizeLabel(label).title
+    );
+    return this.updates.add(this.queueKey(phone), {
+      labels: titles.filter(Boolean),
+    });
+  }
+
+  /**
+   * Establece atributos personalizados del contacto (email capturado,
+   * número de pedido...) sin borrar los demás. Se aplica como addLabels().
+   *
+   * @example
+   * await dashboard.setContactAttributes(ctx.from, { email, pedido: "A-123" });
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {Object} attributes - Atributos a establecer.
+   * @returns {Promise<void>} Se resuelve cuando el lote queda en el outbox.
+   */
+  async setContactAttributes(phone, attributes) {
+    return this.updates.add(this.queueKey(phone), { contact: attributes });
+  }
+
+  /**
+   * Establece atributos personalizados de la conversación actual sin borrar
+   * los demás. Se aplica como addLabels().
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {Object} attributes - Atributos a establecer.
+   * @returns {Promise<void>} Se resuelve cuando el lote queda en el outbox.
+   */
+  async setConversationAttributes(phone, attributes) {
+    return this.updates.add(this.queueKey(phone), {
+      conversation: attributes,
+    });
+  }
+
+  /**
+   * Guarda un lote de etiquetas y atributos en el outbox y programa su
+   * aplicación, en orden con los mensajes pendientes del número.
+   *
+   * @param {string} key - Clave de orden (número de teléfono).
+   * @param {{contact: Object, conversation: Object, labels: Set}} batch
+   */
+  async enqueueUpdate(key, batch) {
+    try {
+      await this.outbox.add(key, "update", {
+        contact: batch.contact,
+        conversation: batch.conversation,
+        labels: [...batch.labels],
+      });
+    } catch (error) {
+      this.logger.error("Error al guardar la actualización en el outbox", {
+        phone: key,
+        error,
+      });
+    }
+    this.scheduleFlush(key);
+  }
+
+  /**
+   * Aplica un lote de etiquetas y atributos de un número guardado por
+   * enqueueUpdate. Se ejecuta desde el outbox, en la cola del número.
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {{contact: Object, conversation: Object, labels: string[]}} update
+   */
+  async applyUpdates(phone, update) {
+    await this.chatwoot.ensureConversation(phone);
+    if (Object.keys(update.contact).length) {
+      await this.chatwoot.updateContactAttributes(phone, update.contact);
+    }
+    if (Object.keys(update.conversation).length) {
+      await this.chatwoot.updateConversationAttributes(
+        phone,
+        update.conversation
+      );
+    }
+    if (update.labels.length) {
+      await this.chatwoot.addConversationLabels(phone, update.labels);
+    }
+  }
+
+  /**
+   * Escala la conversación de un número a un equipo o agente: la asigna, fija
+   * prioridad y estado, publica una nota privada con el resumen de lo hablado
+   * con el bot y pausa el bot hasta que la conversación se resuelva.
+   *
+   * Si hay horario de atención y está cerrado, el bot sigue atendiendo: se
+   * envía la respuesta de fuera de horario, se añade la etiqueta de
+   * afterHours y la escalada se hace sola en la próxima apertura.
+   *
+   * @example
+   * await dashboard.escalate(ctx.from, {
+   *   teamId: 2,
+   *   priority: "high",
+   *   reason: "Reclamo de pedido",
+   *   context: state.getMyState(),
+   * });
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {Object} [options={}]
+   * @param {number} [options.teamId] - Equipo al que se asigna.
+   * @param {number} [options.agentId] - Agente al que se asigna.
+   * @param {string|string[]} [options.label] - Etiqueta(s) a añadir.
+   * @param {string} [options.priority] - urgent, high, medium o low.
+   * @param {string} [options.status="open"] - Estado en que queda la conversación.
+   * @param {string} [options.reason] - Motivo, incluido en la nota.
+   * @param {Object} [options.context] - Datos capturados por el flujo, incluidos en la nota.
+   * @returns {Promise<{conversationID: number}|{deferred: true, opensAt: Date|null}>}
+   */
+  async escalate(phone, options = {}) {
+    const key = this.queueKey(phone);
+    if (!this.isOpen()) return this.deferEscalation(key, options);
+    const requestedAt = this.deferredEscalations.get(key)?.requestedAt;
+    await this.dropDeferredEscalation(key);
+    const labels = options.label ? [].concat(options.label) : [];
+    const { lastFlow, answers } = this.context.get(key);
+
+    // Pausar antes de ir a la cola evita que el bot responda mientras tanto.
+    const paused = this.handoff.pause(key);
+    let result;
+    try {
+      result = await this.queue.enqueue(key, async () => {
+        const { conversationID } = await this.chatwoot.ensureConversation(key);
+        await this.chatwoot.assignConversation(conversationID, {
+          agentID: options.agentId,
+          teamID: options.teamId,
+        });
+        if (labels.length) {
+          await this.chatwoot.addConversationLabels(
+            key,
+            labels.map((label) => Provisioner.normalizeLabel(label).title)
+          );
+        }
+        if (options.priority) {
+          await this.chatwoot.setConversationPriority(
+            conversationID,
+            options.priority
+          );
+        }
+        await this.chatwoot.setConversationStatus(
+          conversationID,
+          options.status || "open"
+        );
+        await this.chatwoot.sendPrivateNote(
+          conversationID,
+          MessageFormatter.escalation({
+            reason: options.reason,
+            priority: options.priority,
+            lastFlow,
+            requestedAt,
+            answers,
+            context: options.context,
+          })
+        );
+        return { conversationID };
+      });
+    } catch (error) {
+      // Sin agente asignado ni avisado, el bot vuelve a atender al cliente.
+      if (paused) this.handoff.resume(key);
+      throw error;
+    }
+    await this.syncBotAttribute(key, "Off");
+    return result;
+  }
+
+  /**
+   * Carga el horario de atención configurado en businessHours.
+   */
+  async loadBusinessHours() {
+    const config = this._options.businessHours;
+    if (!config) return;
+    if (config !== "inbox") {
+      this.businessHours =
+        config instanceof BusinessHours ? config : new BusinessHours(config);
+      return;
+    }
+    try {
+      const inbox = await this.chatwoot.getInbox();
+      this.businessHours = BusinessHours.fromInbox(inbox);
+      this.afterHours.message ||= inbox?.out_of_office_message || null;
+      if (!this.businessHours) {
+        this.logger.warn("La bandeja no tiene horario de atención activo");
+      }
+    } catch (error) {
+      // Sin horario se escala siempre: es preferible a no escalar nunca.
+      this.logger.error("Error al leer el horario de la bandeja", { error });
+    }
+  }
+
+  /**
+   * Indica si hay agentes disponibles según el horario de atención. Sin
+   * horario configurado siempre está abierto.
+   *
+   * @param {Date} [date=new Date()]
+   * @returns {boolean}
+   */
+  isOpen(date = new Date()) {
+    return !this.businessHours || this.businessHours.isOpen(date);
+  }
+
+  /**
+   * Aplaza una escalada pedida fuera de horario. La respuesta y la etiqueta
+   * se envían solo la primera vez que un número la pide.
+   *
+   * @param {string} phone - Número sin "+".
+   * @param {Object} options - Opciones de escalate().
+   * @returns {Promise<{deferred: true, opensAt: Date|null}>}
+   */
+  async deferEscalation(phone, options) {
+    const opensAt = this.businessHours.nextOpening();
+    const previous = this.deferredEscalations.get(phone);
+    const requestedAt =
+      previous?.requestedAt || this.businessHours.format(new Date());
+    if (this.afterHours.handoff !== false) {
+      this.deferredEscalations.set(phone, { options, requestedAt });
+      try {
+        await this.escalationStore.save({ id: phone, options, requestedAt });
+      } catch (error) {
+        this.logger.error("Error al guardar la escalada aplazada", {
+          phone,
+          error,
+        });
+      }
+      this.scheduleOpening();
+    }
+    if (previous) return { deferred: true, opensAt };
+
+    const text = MessageFormatter.outOfOffice(
+      this.afterHours.message || DEFAULT_OUT_OF_OFFICE,
+      opensAt && this.businessHours.format(opensAt)
+    );
+    await this.botInstance.providerClass.sendMessage(phone, text, {});
+    this.enqueueSync("outgoing", phone, {
+      numberOrId: phone,
+      answer: text,
+      ctxMessage: { options: {} },
+    });
+    if (this.afterHours.label) {
+      await this.updates.add(phone, { labels: [this.afterHours.label] });
+    }
+    return { deferred: true, opensAt };
+  }
+
+  /**
+   * Descarta la escalada aplazada de un número, si la tiene.
+   *
+   * @param {string} phone - Número sin "+".
+   */
+  async dropDeferredEscalation(phone) {
+    if (!this.deferredEscalations.delete(phone)) return;
+    try {
+      await this.escalationStore.remove(phone);
+    } catch (error) {
+      this.logger.error("Error al descartar la escalada aplazada", {
+        phone,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Programa las escaladas aplazadas para la próxima apertura.
+   */
+  scheduleOpening() {
+    clearTimeout(this.openingTimer);
+    this.openingTimer = null;
+    if (!this.running || !this.businessHours) return;
+    if (this.deferredEscalations.size === 0) return;
+    const opensAt = this.businessHours.nextOpening();
+    if (!opensAt) return;
+    // setTimeout admite como máximo unos 24 días.
+    const delay = Math.min(Math.max(opensAt - Date.now(), 0), 2 ** 31 - 1);
+    this.openingTimer = setTimeout(() => this.escalateDeferred(), delay);
+    this.openingTimer.unref();
+  }
+
+  /**
+   * Escala las conversaciones aplazadas al abrir.
+   */
+  async escalateDeferred() {
+    this.openingTimer = null;
+    if (!this.isOpen()) return this.scheduleOpening();
+    for (const [phone, { options }] of [...this.deferredEscalations]) {
+      try {
+        await this.escalate(phone, options);
+      } catch (error) {
+        this.logger.error("Error al escalar la conversación aplazada", {
+          phone,
+          error,
+        });
+      }
+    }
+  }
+
+  /**
+   * Importa a Chatwoot el historial guardado en la base de datos del bot.
+   * Se puede repetir sin duplicar mensajes: el progreso se guarda en un
+   * archivo de checkpoint por cuenta y bandeja.
+   *
+   * @example
+   * const report = await dashboard.importHistory(null, { dryRun: true });
+   *
+   * @param {Object} [database] - Adaptador de @bot-whatsapp/database; por defecto el del bot.
+   * @param {Object} [options={}] - Opciones de HistoryImporter (checkpoint, dryRun, phones, showDates, read).
+   * @returns {Promise<Object>} Resumen de la importación.
+   */
+  async importHistory(database = null, options = {}) {
+    const { CHATWOOT_ID, CHATWOOT_INBOX_ID } = this._options;
+    const importer = new HistoryImporter(this.chatwoot, {
+      checkpoint: `chatwoot-import-${CHATWOOT_ID}-${CHATWOOT_INBOX_ID}.json`,
+      logger: this.logger,
+      ...options,
+    });
+    return importer.run(database || this.botInstance?.databaseClass);
+  }
+
+  /**
+   * Suscribe un listener y lo recuerda para quitarlo al detener.
+   *
+   * @param {Object} target - Emisor (bot, provider o this.events).
+   * @param {string} event - Nombre del evento.
+   * @param {Function} handler - Listener.
+   */
+  listen(target, event, handler) {
+    target.on(event, handler);
+    this.listeners.push({ target, event, handler });
+  }
+
+  /**
+   * Quita todos los listeners registrados con listen().
+   */
+  removeListeners() {
+    for (const { target, event, handler } of this.listeners.splice(0)) {
+      if (typeof target.off === "function") {
+        target.off(event, handler);
+      } else if (typeof target.removeListener === "function") {
+        target.removeListener(event, handler);
+      }
+    }
+  }
+
   /**
    * Configura los listeners del bot para procesar mensajes.
    */
-  static setUpBotListeners() {
+  setUpBotListeners() {
     if (
       this.botInstance.providerClass &&
       typeof this.botInstance.providerClass.on === "function"
     ) {
-      this.botInstance.providerClass.on("message", async (data) => {
+      this.listen(this.botInstance.providerClass, "message", async (data) => {
         await this.handleMessage(data);
       });
     }
 
     if (this.botInstance && typeof this.botInstance.on === "function") {
-      this.botInstance.on("send_message", async (data) => {
+      this.listen(this.botInstance, "send_message", async (data) => {
         await this.handleSendMessage(data);
       });
     }
@@ -60,25 +856,318 @@ class ChatwootWrapper {
   /**
    * Configura los listeners de eventos personalizados.
    */
-  static setUpEventListeners() {
-    this.events.on("message_para_chatwoot_user", (data) => {
-      this.queue.enqueue(() => this.processIncomingMessage(data));
+  setUpEventListeners() {
+    this.listen(this.events, "message_para_chatwoot_user", (data) => {
+      const message = this.normalizer.normalize(data);
+      if (!message.from) return;
+      // Los providers pueden entregar el mismo mensaje más de una vez.
+      if (message.id && this.seen.check(this.incomingKey(message))) return;
+      this.context.recordIncoming(
+        message.from,
+        MessageFormatter.incoming(message)
+      );
+      this.enqueueSync("incoming", message.from, message);
+    });
+    this.listen(this.events, "send_message_Bot", (data) => {
+      this.context.recordOutgoing(
+        this.queueKey(data.numberOrId),
+        data.answer,
+        data.ctxMessage
+      );
+      this.enqueueSync("outgoing", data.numberOrId, {
+        numberOrId: data.numberOrId,
+        answer: data.answer,
+        ctxMessage: {
+          options: {
+            media: data.ctxMessage?.options?.media,
+            buttons: data.ctxMessage?.options?.buttons,
+            list: data.ctxMessage?.options?.list,
+          },
+        },
+      });
     });
-    this.events.on("send_message_Bot", (data) => {
-      this.queue.enqueue(() => this.processOutgoingMessage(data));
+    this.listen(this.events, "agent_event", (data) => {
+      this.queue
+        .enqueue(this.agentEventKey(data), () => this.processAgentEvent(data))
+        .catch(() => {});
     });
   }
 
+  /**
+   * Guarda un mensaje en el outbox y programa su envío a Chatwoot.
+   *
+   * @param {string} type - "incoming" u "outgoing".
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {Object} payload - Datos serializables del mensaje.
+   */
+  async enqueueSync(type, phone, payload) {
+    const key = this.queueKey(phone);
+    // El source_id se fija una vez: todos los intentos publican el mismo y
+    // se puede comprobar si uno anterior ya llegó a Chatwoot.
+    const sourceID = ChatwootClient.buildSourceID(
+      type === "incoming" ? payload.id : null
+    );
+    try {
+      await this.outbox.add(key, type, { ...payload, sourceID });
+    } catch (error) {
+      this.logger.error("Error al guardar el mensaje en el outbox", {
+        phone: key,
+        type,
+        error,
+      });
+    }
+    this.scheduleFlush(key);
+  }
+
+  /**
+   * Programa el envío de los pendientes de un número, sin duplicar tareas.
+   *
+   * @param {string} key - Clave de orden (número de teléfono).
+   */
+  scheduleFlush(key) {
+    // Detenido, el mensaje queda en el outbox hasta el siguiente inicio.
+    if (!this.running || this.scheduledFlushes.has(key)) return;
+    this.scheduledFlushes.add(key);
+    // Si la tarea se descarta al detener, el outbox conserva los mensajes.
+    this.queue.enqueue(key, () => this.flushOutbox(key)).catch(() => {});
+  }
+
+  /**
+   * Reprograma todos los números con mensajes pendientes.
+   */
+  replayOutbox() {
+    for (const key of this.outbox.pendingKeys()) {
+      this.scheduleFlush(key);
+    }
+  }
+
+  /**
+   * Envía en orden los mensajes pendientes de un número. Si uno falla se
+   * detiene para no desordenar la conversación; se reintentará más tarde.
+   *
+   * @param {string} key - Clave de orden (número de teléfono).
+   */
+  async flushOutbox(key) {
+    this.scheduledFlushes.delete(key);
+    for (const item of this.outbox.pending(key)) {
+      if (this.halted) return;
+      try {
+        if (await this.isDelivered(key, item)) {
+          this.logger.debug("Mensaje ya publicado en Chatwoot", {
+            phone: key,
+            id: item.id,
+          });
+        } else if (item.type === "update") {
+          await this.applyUpdates(key, item.payload);
+        } else if (item.type === "incoming") {
+          await this.processIncomingMessage(item.payload);
+        } else {
+          await this.processOutgoingMessage(item.payload);
+        }
+      } catch (error) {
+        // Un envío abandonado al detener no cuenta como intento fallido.
+        if (this.halted) return;
+        const dead = await this.outbox.fail(item.id, error);
+        this.bus.emit("sync.failed", {
+          phone: key,
+          id: item.id,
+          type: item.type,
+          attempts: item.attempts,
+          dead,
+          payload: item.payload,
+          error,
+        });
+        if (item.type !== "update") {
+          this.metrics.inc("chatwoot_messages_failed_total", {
+            direction: item.type,
+          });
+        }
+        this.logger.error(
+          dead
+            ? "Mensaje movido a dead letter"
+            : "Error al sincronizar mensaje, se reintentará",
+          { phone: key, id: item.id, type: item.type, error }
+        );
+        if (dead) continue;
+        return;
+      }
+
+      await this.outbox.complete(item.id);
+      if (item.type === "update") continue;
+      this.metrics.inc("chatwoot_messages_synced_total", {
+        direction: item.type,
+        type: ChatwootWrapper.syncType(item),
+      });
+      if (item.type === "incoming") {
+        try {
+          await this.restoreHandoffState(key);
+        } catch (error) {
+          this.logger.error("Error al recuperar el modo humano", {
+            phone: key,
+            error,
+          });
+        }
+        try {
+          await this.profiles?.sync(key, item.payload?.name);
+        } catch (error) {
+          this.logger.warn("Error al sincronizar el perfil del contacto", {
+            phone: key,
+            error,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Indica si un elemento del outbox ya está en Chatwoot. Solo se consulta
+   * si un envío anterior pudo llegar sin confirmarse: tras un intento
+   * fallido o si el elemento viene de una ejecución anterior.
+   *
+   * @param {string} key - Clave de orden (número de teléfono).
+   * @param {Object} item - Elemento del outbox.
+   * @returns {Promise<boolean>}
+   */
+  async isDelivered(key, item) {
+    const sourceID = item.payload?.sourceID;
+    if (!sourceID) return false;
+    if (item.attempts === 0 && item.createdAt >= this.startedAt) return false;
+    return Boolean(await this.chatwoot.findMessage(key, sourceID));
+  }
+
+  /**
+   * Lista los mensajes que no se pudieron sincronizar con Chatwoot.
+   *
+   * @returns {Object[]}
+   */
+  getDeadLetters() {
+    return this.outbox.deadLetters();
+  }
+
+  /**
+   * Elimina mensajes en dead letter.
+   *
+   * @param {string[]} [ids] - IDs a eliminar; sin IDs se eliminan todos.
+   * @returns {Promise<number>} Cantidad eliminada.
+   */
+  async purgeDeadLetters(ids) {
+    return this.outbox.purgeDeadLetters(ids);
+  }
+
+  /**
+   * Vuelve a intentar la sincronización de mensajes en dead letter.
+   *
+   * @param {string[]} [ids] - IDs a reintentar; sin IDs se reintentan todos.
+   */
+  async retryDeadLetters(ids) {
+    const keys = await this.outbox.retryDeadLetters(ids);
+    keys.forEach((key) => this.scheduleFlush(key));
+  }
+
+  /**
+   * Clave de idempotencia de un mensaje entrante de WhatsApp.
+   *
+   * @param {Object} message - Mensaje normalizado.
+   * @returns {string}
+   */
+  incomingKey(message) {
+    return `whatsapp:${message.provider || "generic"}:${message.id}`;
+  }
+
+  /**
+   * Clave de orden de la cola para un número de teléfono.
+   *
+   * @param {string} phone - Número de teléfono.
+   * @returns {string|null}
+   */
+  queueKey(phone) {
+    return phone ? String(phone).replace(/^\+/, "") : null;
+  }
+
+  /**
+   * Clave de orden de la cola para un evento del webhook: el teléfono del
+   * contacto o, si no viene en el payload, la conversación.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   * @returns {string|null}
+   */
+  agentEventKey(data) {
+    const phone =
+      data?.conversation?.meta?.sender?.phone_number ||
+      data?.meta?.sender?.phone_number ||
+      data?.phone_number;
+    if (phone) return this.queueKey(phone);
+    const conversationID = data?.conversation?.id;
+    return conversationID ? `conversation:${conversationID}` : null;
+  }
+
+  /**
+   * Tipo de un mensaje del outbox para las métricas.
+   *
+   * @param {Object} item - Elemento del outbox.
+   * @returns {string}
+   */
+  static syncType(item) {
+    if (item.type === "incoming") return item.payload?.type || "text";
+    const options = item.payload?.ctxMessage?.options;
+    if (options?.media) return "media";
+    return MessageFormatter.select(options) ? "select" : "text";
+  }
+
+  /**
+   * Valores de las colas y del outbox para las métricas.
+   *
+   * @returns {Array<{name: string, labels: Object, value: number}>}
+   */
+  collectMetrics() {
+    const { messages, requests } = this.getQueueStats();
+    const outbox = this.outbox.stats();
+    return [
+      {
+        name: "chatwoot_queue_depth",
+        labels: { queue: "messages" },
+        value: messages.pending + messages.running,
+      },
+      {
+        name: "chatwoot_queue_depth",
+        labels: { queue: "requests" },
+        value: requests.pending + requests.running,
+      },
+      {
+        name: "chatwoot_outbox_items",
+        labels: { status: "pending" },
+        value: outbox.pending,
+      },
+      {
+        name: "chatwoot_outbox_items",
+        labels: { status: "dead" },
+        value: outbox.dead,
+      },
+    ];
+  }
+
+  /**
+   * Estado de las colas de mensajes y de peticiones a Chatwoot.
+   *
+   * @returns {{messages: Object, requests: Object}}
+   */
+  getQueueStats() {
+    return {
+      messages: this.queue.stats(),
+      requests: this.chatwoot.queue.stats(),
+    };
+  }
+
   /**
    * Maneja eventos relacionados con el agente.
    *
    * @param {Object} data - Datos del evento del agente.
    */
-  static async handleAgentEvent(data) {
+  async handleAgentEvent(data) {
     try {
       this.events.emit("agent_event", data);
     } catch (error) {
-      console.error("Error al procesar evento del agente:", error);
+      this.logger.error("Error al procesar evento del agente", { error });
     }
   }
 
@@ -87,11 +1176,11 @@ class ChatwootWrapper {
    *
    * @param {Object} data - Datos del mensaje entrante del user.
    */
-  static async handleMessage(data) {
+  async handleMessage(data) {
     try {
       this.events.emit("message_para_chatwoot_user", data);
     } catch (error) {
-      console.error("Error al procesar mensaje entrante:", error);
+      this.logger.error("Error al procesar mensaje entrante", { error });
     }
   }
 
@@ -100,106 +1189,413 @@ class ChatwootWrapper {
    *
    * @param {Object} data - Datos del mensaje saliente del bot.
    */
-  static async handleSendMessage(data) {
+  async handleSendMessage(data) {
     try {
       this.events.emit("send_message_Bot", data);
     } catch (error) {
-      console.error("Error al procesar mensaje saliente:", error);
+      this.logger.error("Error al procesar mensaje saliente", { error });
     }
   }
 
   /**
    * Verifica la existencia de un atributo y lo crea si no está presente.
+   * También crea las definiciones de los atributos del perfil; un fallo en
+   * unas no impide las otras.
    */
-  static async checkAndCreateAttribute() {
+  async checkAndCreateAttribute() {
     try {
       const attributeExists = await this.chatwoot.isAttributeCreated();
       if (!attributeExists) {
         await this.chatwoot.createAttributes();
       }
     } catch (error) {
-      console.error("Error al verificar o crear el atributo:", error);
+      this.logger.error("Error al verificar o crear el atributo", { error });
+    }
+    if (!this.profiles) return;
+    try {
+      await this.profiles.ensureDefinitions();
+    } catch (error) {
+      this.logger.error("Error al crear los atributos del perfil", { error });
     }
   }
 
   /**
    * Procesa mensajes entrantes, decide si enviar una nota o un mensaje con adjunto.
+   * Los errores se propagan para que el outbox pueda reintentar.
    *
-   * @param {Object} data - Datos del mensaje entrante del user.
+   * @param {Object} message - Mensaje entrante normalizado.
    */
-  static async processIncomingMessage(data) {
-    const { from, body, caption, pushName, url } = data;
-    const token = this.botInstance.providerClass.jwtToken;
-    try {
-      if (body.includes("_event_")) {
+  async processIncomingMessage(message) {
+    // Los mensajes guardados en el outbox antes de normalizar no traen provider.
+    if (!message.provider) {
+      message = {
+        ...new MessageNormalizer(null, "generic").normalize(message),
+        sourceID: message.sourceID,
+      };
+    }
+    const { from, name, text, media } = message;
+
+    if (message.type === "reaction" && message.reaction) {
+      await this.syncReaction(message);
+      return;
+    }
+
+    const options = {
+      sourceID: message.sourceID,
+      externalID: message.id,
+      contentAttributes: await this.replyAttributes(from, message.replyTo),
+    };
+
+    if (message.type === "media" && media) {
+      const source = await this.normalizer.resolveMedia(
+        media,
+        message.provider
+      );
+      if (source) {
         await this.chatwoot.sendMessageWithAttachments(
           from,
-          caption,
-          [url],
+          text,
+          [source],
           "incoming",
           false,
-          token
+          null,
+          name,
+          options
         );
-      } else {
-        await this.chatwoot.sendNotes(from, body, "incoming", false, pushName);
+        return;
       }
+    }
+
+    const content = MessageFormatter.incoming(message);
+    await this.chatwoot.sendNotes(
+      from,
+      content,
+      "incoming",
+      false,
+      name,
+      options
+    );
+  }
+
+  /**
+   * Publica una reacción del cliente como nota privada, enlazada al mensaje
+   * al que reacciona cuando se encuentra en la conversación.
+   *
+   * @param {Object} message - Mensaje normalizado de tipo "reaction".
+   */
+  async syncReaction(message) {
+    const { from, name, reaction } = message;
+    await this.chatwoot.sendNotes(
+      from,
+      MessageFormatter.reaction(reaction),
+      "outgoing",
+      true,
+      name,
+      {
+        sourceID: message.sourceID,
+        externalID: message.id,
+        contentAttributes: await this.replyAttributes(
+          from,
+          reaction.messageId
+        ),
+      }
+    );
+  }
+
+  /**
+   * Obtiene los content_attributes que enlazan un mensaje con el mensaje de
+   * WhatsApp al que responde. Si no se encuentra el mensaje original, el
+   * mensaje se publica sin enlace.
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   * @param {string} [externalID] - ID en WhatsApp del mensaje citado.
+   * @returns {Object|null} { in_reply_to } o null.
+   */
+  async replyAttributes(phone, externalID) {
+    if (!externalID) return null;
+    try {
+      const messageID = await this.chatwoot.getMessageIDByExternalID(
+        phone,
+        externalID
+      );
+      return messageID ? { in_reply_to: messageID } : null;
     } catch (error) {
-      console.error("Error al procesar mensaje de la cola entrante:", error);
+      this.logger.warn("No se pudo buscar el mensaje citado", {
+        phone,
+        error,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Recupera el modo humano desde el atributo del contacto, de forma que una
+   * pausa hecha antes de reiniciar el proceso se siga respetando.
+   *
+   * @param {string} phone - Número de teléfono del usuario.
+   */
+  async restoreHandoffState(phone) {
+    if (!this.handoff.isActive(phone)) return;
+    const attributeValue = await this.chatwoot.getAttributes(phone);
+    if (attributeValue === "Off") {
+      this.handoff.pause(phone);
     }
   }
 
   /**
    * Procesa mensajes salientes, decide si enviar una nota o un mensaje con adjunto del bot.
+   * Los errores se propagan para que el outbox pueda reintentar.
    *
    * @param {Object} data - Datos del mensaje saliente del bot.
    */
-  static async processOutgoingMessage(data) {
-    const { numberOrId, answer, ctxMessage } = data;
-    const getAttributes = await this.chatwoot.getAttributes(numberOrId);
-    // const getBlacklistSnapshot =
-    //   await this.botInstance.dynamicBlacklist.getBlacklistSnapshot();
+  async processOutgoingMessage(data) {
+    const { numberOrId, answer, ctxMessage, sourceID } = data;
+    const Url_Adjunto = ctxMessage?.options?.media;
+    // Botones y listas se muestran como opciones para que el agente vea lo
+    // mismo que se ofreció al cliente.
+    const select = MessageFormatter.select(ctxMessage?.options);
+    if (Url_Adjunto) {
+      // Chatwoot no admite input_select con adjuntos: las opciones van en el texto.
+      const caption = select
+        ? [answer, MessageFormatter.selectAsText(select)]
+            .filter(Boolean)
+            .join("\n\n")
+        : answer;
+      // La media del bot la definen sus flujos: puede ser una ruta local.
+      await this.chatwoot.sendMessageWithAttachments(
+        numberOrId,
+        caption,
+        [Url_Adjunto],
+        "outgoing",
+        false,
+        null,
+        null,
+        { sourceID, allowLocalFiles: true }
+      );
+    } else {
+      await this.chatwoot.sendNotes(
+        numberOrId,
+        answer,
+        "outgoing",
+        false,
+        null,
+        { ...select, sourceID }
+      );
+    }
+  }
+
+  /**
+   * Indica si un evento del webhook pertenece a la cuenta y bandeja de esta
+   * instancia. Los eventos sin bandeja (contactos) se aceptan por cuenta.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   * @returns {boolean}
+   */
+  matchesEvent(data) {
+    const accountID = data?.account?.id;
+    const inboxID =
+      data?.inbox?.id ?? data?.inbox_id ?? data?.conversation?.inbox_id;
+    if (accountID && accountID != this.chatwoot.idChatwoot) return false;
+    if (inboxID && inboxID != this.chatwoot.inboxID) return false;
+    return true;
+  }
+
+  /**
+   * Despacha los eventos del webhook de Chatwoot según su tipo.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   */
+  async processAgentEvent(data) {
+    try {
+      await this.chatwoot.cache.applyEvent(data);
+    } catch (error) {
+      this.logger.error("Error al actualizar la caché de contactos", {
+        error,
+      });
+    }
+
+    this.bus.publishWebhook(data);
+
+    switch (data?.event) {
+      case "message_created":
+        return this.processAgentMessage(data);
+      case "contact_updated":
+      case "conversation_updated":
+      case "conversation_status_changed":
+        return this.processHandoffEvent(data);
+      default:
+        return;
+    }
+  }
+
+  /**
+   * Actualiza el modo humano a partir de los eventos del webhook:
+   * - contact_updated: el atributo "funciones_del_bot" pasa a On u Off.
+   * - conversation_updated: la conversación se asigna a un agente.
+   * - conversation_status_changed: la conversación se resuelve.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   */
+  async processHandoffEvent(data) {
+    try {
+      if (data.event === "contact_updated") {
+        if (!data.phone_number) return;
+        const value = data.custom_attributes?.funciones_del_bot;
+        // El cambio ya viene de Chatwoot, no hace falta volver a escribirlo.
+        if (value === "Off") await this.pauseBot(data.phone_number, false);
+        if (value === "On") await this.resumeBot(data.phone_number, false);
+        return;
+      }
+
+      const phone = data.meta?.sender?.phone_number;
+      if (!phone || (data.inbox_id && data.inbox_id != this.chatwoot.inboxID)) {
+        return;
+      }
+
+      if (data.event === "conversation_status_changed") {
+        if (data.status === "resolved") {
+          this.context.clear(this.queueKey(phone));
+          await this.dropDeferredEscalation(this.queueKey(phone));
+          await this.resumeBot(phone);
+        }
+        return;
+      }
 
-    if (getAttributes === "On") {
-      // Al encender el servidor, verificar si el número está en la lista negra
-      // if (getBlacklistSnapshot.includes(numberOrId)) {
-      //   await this.botInstance.dynamicBlacklist.removeFromBlacklist(numberOrId);
-      //   console.log("Número eliminado. Verifica el archivo JSON nuevamente.");
-      // }
+      const assigneeChanged = (data.changed_attributes || []).some(
+        (change) => "assignee_id" in change
+      );
+      const assignee = data.meta?.assignee;
+      if (assigneeChanged && assignee && assignee.type !== "agent_bot") {
+        // Un agente ya la atiende: no hace falta escalarla al abrir.
+        await this.dropDeferredEscalation(this.queueKey(phone));
+        await this.pauseBot(phone);
+      }
+    } catch (error) {
+      this.logger.error("Error al procesar evento de modo humano", {
+        event: data.event,
+        error,
+      });
     }
+  }
 
-    const Url_Adjunto = ctxMessage?.options?.media;
+  /**
+   * Determina si un evento del webhook corresponde a una respuesta de un agente
+   * que debe llegar al cliente. Se descartan notas privadas, mensajes de
+   * actividad, mensajes de bots y los ecos publicados por el propio adaptador.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   * @returns {boolean}
+   */
+  isAgentReply(data) {
+    if (data?.event !== "message_created") return false;
+    if (data.message_type !== "outgoing") return false;
+    if (data.private) return false;
+    if (data.sender?.type && data.sender.type !== "user") return false;
+    if (ChatwootClient.isBotSourceID(data.source_id)) return false;
+    const echoID = data.echo_id ?? data.content_attributes?.echo_id;
+    if (ChatwootClient.isBotSourceID(echoID)) return false;
+    return true;
+  }
+
+  /**
+   * Obtiene el número de teléfono del cliente a partir del payload del webhook.
+   * Si el payload no lo incluye se consulta la conversación en Chatwoot.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   * @returns {string|false} Número sin el prefijo "+" o false si no se encuentra.
+   */
+  async resolveAgentPhone(data) {
+    const phoneNumber = data.conversation?.meta?.sender?.phone_number;
+    if (phoneNumber) {
+      return phoneNumber.replace(/^\+/, "");
+    }
+    const conversationID = data.conversation?.id;
+    if (!conversationID) {
+      return false;
+    }
+    return this.chatwoot.getPhoneByConversationID(conversationID);
+  }
+
+  /**
+   * Reenvía a WhatsApp las respuestas escritas por un agente en Chatwoot.
+   * El texto se envía con sendMessage y cada adjunto con options.media, que el
+   * provider delega en su sendMedia.
+   *
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   */
+  async processAgentMessage(data) {
+    if (!this.isAgentReply(data)) return;
+    // Chatwoot reintenta el webhook si no recibe respuesta a tiempo. Solo se
+    // marca como entregado tras enviarlo, para que un reintento no se pierda.
+    const seenKey = `chatwoot:${data.id}`;
+    if (this.seen.has(seenKey)) return;
+    const provider = this.botInstance.providerClass;
     try {
-      if (Url_Adjunto) {
-        await this.chatwoot.sendMessageWithAttachments(
-          numberOrId,
-          answer,
-          [Url_Adjunto],
-          "outgoing",
-          false
-        );
-      } else {
-        await this.chatwoot.sendNotes(numberOrId, answer, "outgoing", false);
+      const phone = await this.resolveAgentPhone(data);
+      if (!phone) {
+        this.logger.warn("No se encontró el teléfono de la conversación", {
+          conversationID: data.conversation?.id,
+        });
+        return;
+      }
+
+      const content = data.content || "";
+      const attachments = (data.attachments || []).filter((a) => a.data_url);
+
+      if (attachments.length === 0) {
+        if (content) {
+          await provider.sendMessage(phone, content, {});
+        }
+      }
+
+      for (const [index, attachment] of attachments.entries()) {
+        // El texto del agente acompaña solo al primer adjunto.
+        const caption = index === 0 ? content : "";
+        await this.sender.send(phone, attachment, caption);
       }
+
+      this.seen.add(seenKey);
+      this.metrics.inc("chatwoot_messages_synced_total", {
+        direction: "agent",
+        type: attachments.length ? "media" : "text",
+      });
+      this.bus.emit(
+        "agent.message",
+        DashboardEvents.parseAgentMessage(data, phone)
+      );
     } catch (error) {
-      console.error("Error al procesar mensaje de la cola saliente:", error);
+      this.metrics.inc("chatwoot_messages_failed_total", {
+        direction: "agent",
+      });
+      this.logger.error("Error al reenviar mensaje del agente", {
+        conversationID: data.conversation?.id,
+        error,
+      });
+      await this.notifyRelayFailure(data, error);
     }
   }
 
   /**
-   * Inicia un servidor Express para manejar webhooks.
+   * Avisa al agente con una nota privada de que su mensaje no llegó al
+   * cliente, para que pueda reenviarlo.
    *
-   * @param {number} port - Puerto en el que se iniciará el servidor.
+   * @param {Object} data - Payload del webhook de Chatwoot.
+   * @param {Error} error - Error del envío.
    */
-  static startServer(port) {
-    const app = express();
-    app.use(bodyParser.json());
-    app.post("/webhook-endpoint", (req, res) => {
-      ChatwootWrapper.handleAgentEvent(req.body);
-      res.status(200).send("Evento del agente recibido.");
-    });
-    app.listen(port, () =>
-      console.log(`Servidor escuchando en el puerto ${port}`)
-    );
+  async notifyRelayFailure(data, error) {
+    const conversationID = data.conversation?.id;
+    if (!conversationID) return;
+    try {
+      await this.chatwoot.sendPrivateNote(
+        conversationID,
+        `⚠️ No se pudo entregar este mensaje al cliente por WhatsApp (${error.message}). Vuelve a enviarlo.`
+      );
+    } catch (noteError) {
+      this.logger.error("Error al avisar del mensaje no entregado", {
+        conversationID,
+        error: noteError,
+      });
+    }
   }
 }
 
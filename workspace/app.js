@@ -27,12 +27,18 @@ const  flowPrincipal = addKeyword('hola').addAnswer('buenas!')
       database: adapterDB,
     });
   
-    createDashboard({
-        CHATWOOT_URL: "",
-        CHATWOOT_ID: "",
-        CHATWOOT_INBOX_ID: "",
-        CHATWOOT_API_ACCESS_TOKEN: "",
-      }, BotCreate)
+    try {
+      await createDashboard({
+          CHATWOOT_URL: "",
+          CHATWOOT_ID: "",
+          CHATWOOT_INBOX_ID: "",
+          CHATWOOT_API_ACCESS_TOKEN: "",
+        }, BotCreate)
+    } catch (error) {
+      // ChatwootConfigError lista en su mensaje cada problema de configuración.
+      console.error(error.message)
+      process.exit(1)
+    }
 
   };
   